@@ -0,0 +1,220 @@
+// Financial calculations shared by the lesson calculators and the numeric
+// quiz templates. Kept free of DOM and imports so scripts can load it too.
+
+const REG_T_RATE = 0.5;
+const PAR_VALUE = 1000;
+const LETTERS = ['A', 'B', 'C', 'D'];
+
+// ── Formulas ──
+
+export function currentYield(annualCoupon, marketPrice) {
+  return (annualCoupon / marketPrice) * 100;
+}
+
+export function regTMargin(marketValue) {
+  return marketValue * REG_T_RATE;
+}
+
+export function marginEquity(marketValue, debitBalance) {
+  return marketValue - debitBalance;
+}
+
+export function optionBreakeven(strike, premium, optionType = 'call') {
+  return optionType === 'put' ? strike - premium : strike + premium;
+}
+
+/** `taxRate` is a decimal (0.32 for 32%). */
+export function taxEquivalentYield(taxFreeYield, taxRate) {
+  return taxFreeYield / (1 - taxRate);
+}
+
+/**
+ * Formulas available to quiz templates. `inputs` are the template variables
+ * each one needs; `mistakes` compute the wrong answers learners typically
+ * reach, which templates pick from for their distractors.
+ */
+export const FORMULAS = {
+  'current-yield': {
+    inputs: ['coupon', 'price'],
+    format: 'percent',
+    compute: v => currentYield(v.coupon, v.price),
+    mistakes: {
+      'nominal-yield': v => currentYield(v.coupon, PAR_VALUE),
+      'semiannual-coupon': v => currentYield(v.coupon / 2, v.price),
+      // Approximate yield to maturity, confused with current yield
+      'yield-to-maturity': v => ((v.coupon + (PAR_VALUE - v.price) / 10) / ((PAR_VALUE + v.price) / 2)) * 100
+    }
+  },
+  'reg-t-margin': {
+    inputs: ['marketValue'],
+    format: 'dollars',
+    compute: v => regTMargin(v.marketValue),
+    mistakes: {
+      'full-value': v => v.marketValue,
+      'maintenance': v => v.marketValue * 0.25,
+      'loan-value': v => v.marketValue * 0.75
+    }
+  },
+  'option-breakeven': {
+    inputs: ['strike', 'premium', 'optionType'],
+    format: 'dollars',
+    compute: v => optionBreakeven(v.strike, v.premium, v.optionType),
+    mistakes: {
+      'wrong-direction': v => optionBreakeven(v.strike, v.premium, v.optionType === 'put' ? 'call' : 'put'),
+      'strike-only': v => v.strike,
+      'double-premium': v => optionBreakeven(v.strike, v.premium * 2, v.optionType)
+    }
+  },
+  'tax-equivalent-yield': {
+    inputs: ['taxFreeYield', 'taxRate'],
+    format: 'percent',
+    compute: v => taxEquivalentYield(v.taxFreeYield, v.taxRate / 100),
+    mistakes: {
+      'multiply': v => v.taxFreeYield * (1 - v.taxRate / 100),
+      'add-rate': v => v.taxFreeYield * (1 + v.taxRate / 100),
+      'divide-by-rate': v => v.taxFreeYield / (v.taxRate / 100)
+    }
+  }
+};
+
+// ── Templates ──
+
+function formatAnswer(value, format, decimals = 2) {
+  if (format === 'dollars') {
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+  }
+  return format === 'percent' ? `${value.toFixed(2)}%` : String(value);
+}
+
+function formatVariable(value, format) {
+  if (format === 'dollars') return formatAnswer(value, format, Number.isInteger(value) ? 0 : 2);
+  return format === 'percent' ? `${value}%` : String(value);
+}
+
+function drawVariables(specs, random) {
+  const vars = {};
+  Object.entries(specs).forEach(([name, spec]) => {
+    if (Array.isArray(spec.values)) {
+      vars[name] = spec.values[Math.floor(random() * spec.values.length)];
+      return;
+    }
+    const step = spec.step || 1;
+    const steps = Math.floor((spec.max - spec.min) / step);
+    // Round away float noise from repeated decimal steps
+    vars[name] = Number((spec.min + step * Math.floor(random() * (steps + 1))).toFixed(6));
+  });
+  return vars;
+}
+
+/**
+ * Turn a template item into a regular 4-choice question. Variables are drawn
+ * with `random` unless `params` (from an earlier instantiation) are given,
+ * so a saved question can be rebuilt with the same numbers. Choices are the
+ * computed answer and the template's distractors, sorted ascending.
+ */
+export function instantiateTemplate(template, random = Math.random, params = null) {
+  const { variables, formula: formulaName, distractors, type, ...rest } = template;
+  const formula = FORMULAS[formulaName];
+  const vars = params || drawVariables(variables, random);
+  const format = value => formatAnswer(value, formula.format);
+
+  const answer = formula.compute(vars);
+  const values = [answer];
+  const seen = new Set([format(answer)]);
+
+  distractors.forEach((name, i) => {
+    let value = formula.mistakes[name](vars);
+    // Some draws make two mistakes land on the same number; nudge off the answer instead
+    for (let n = 1; !Number.isFinite(value) || seen.has(format(value)); n++) {
+      value = answer * (1 + (i % 2 ? -0.1 : 0.1) * n);
+    }
+    seen.add(format(value));
+    values.push(value);
+  });
+
+  // Whole-dollar choices drop the cents, unless any choice needs them
+  const decimals = formula.format === 'dollars' && values.every(Number.isInteger) ? 0 : 2;
+  const display = value => formatAnswer(value, formula.format, decimals);
+  const sorted = [...values].sort((a, b) => a - b);
+  const answerText = display(answer);
+  const fill = text => text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (name === 'answer') return answerText;
+    return name in vars ? formatVariable(vars[name], variables[name].format) : match;
+  });
+
+  return {
+    ...rest,
+    question: fill(template.question),
+    choices: sorted.map((value, i) => `${LETTERS[i]}. ${display(value)}`),
+    correct: sorted.indexOf(answer),
+    explanation: fill(template.explanation),
+    params: vars
+  };
+}
+
+// Evenly spread draws in a fixed order (golden-ratio steps), so checking a
+// template gives the same verdict on every run
+function sampleSequence() {
+  let k = 0;
+  return () => (++k * 0.6180339887498949) % 1;
+}
+
+export function isTemplate(question) {
+  return question.type === 'template';
+}
+
+/**
+ * Check a template's structure and sample it `samples` times with the same
+ * fixed draws each run. Returns a list of problems; an empty list means the
+ * template is usable.
+ */
+export function validateTemplate(template, samples = 50) {
+  const errors = [];
+  const formula = FORMULAS[template.formula];
+  if (!formula) return [`unknown formula "${template.formula}"`];
+
+  const variables = template.variables;
+  if (!variables || typeof variables !== 'object') return ['missing "variables"'];
+
+  formula.inputs.forEach(name => {
+    if (!(name in variables)) errors.push(`formula input "${name}" has no variable`);
+  });
+  Object.entries(variables).forEach(([name, spec]) => {
+    if (Array.isArray(spec.values)) {
+      if (spec.values.length === 0) errors.push(`variable "${name}" has no values`);
+    } else if (typeof spec.min !== 'number' || typeof spec.max !== 'number' || spec.min > spec.max) {
+      errors.push(`variable "${name}" needs numeric min <= max`);
+    } else if (spec.step !== undefined && !(spec.step > 0)) {
+      errors.push(`variable "${name}" step must be positive`);
+    }
+  });
+
+  if (!Array.isArray(template.distractors) || template.distractors.length !== 3) {
+    errors.push('needs exactly 3 distractors');
+  } else {
+    template.distractors.forEach(name => {
+      if (!formula.mistakes[name]) errors.push(`unknown distractor "${name}" for ${template.formula}`);
+    });
+  }
+
+  (template.question.match(/\{(\w+)\}/g) || []).forEach(token => {
+    const name = token.slice(1, -1);
+    if (name !== 'answer' && !(name in variables)) errors.push(`question uses unknown variable ${token}`);
+  });
+
+  if (errors.length > 0) return errors;
+
+  const random = sampleSequence();
+  for (let i = 0; i < samples; i++) {
+    const q = instantiateTemplate(template, random);
+    if (!Number.isFinite(formula.compute(q.params))) {
+      errors.push(`non-numeric answer for ${JSON.stringify(q.params)}`);
+      break;
+    }
+    if (new Set(q.choices.map(c => c.slice(3))).size !== 4) {
+      errors.push(`duplicate choices for ${JSON.stringify(q.params)}`);
+      break;
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,87 @@
+// Confidence calibration - accuracy by self-rated confidence
+import { createEl } from './utils.js';
+
+export const CONFIDENCE_LEVELS = [
+  { id: 'guess', label: 'Guess' },
+  { id: 'unsure', label: 'Unsure' },
+  { id: 'sure', label: 'Sure' }
+];
+
+/**
+ * Tally answered entries ({ confidence, correct, topic }) by confidence
+ * level. Answers rated "sure" but missed are counted per topic as
+ * confident misses, most frequent first.
+ */
+export function computeCalibration(entries) {
+  const levels = Object.fromEntries(CONFIDENCE_LEVELS.map(level => [level.id, { correct: 0, total: 0 }]));
+  const misses = {};
+  let rated = 0;
+
+  entries.forEach(entry => {
+    const level = levels[entry.confidence];
+    if (!level) return;
+    rated++;
+    level.total++;
+    if (entry.correct) {
+      level.correct++;
+    } else if (entry.confidence === 'sure') {
+      const topic = entry.topic || 'general';
+      misses[topic] = (misses[topic] || 0) + 1;
+    }
+  });
+
+  const confidentMisses = Object.entries(misses)
+    .map(([topic, count]) => ({ topic, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return { rated, levels, confidentMisses };
+}
+
+/**
+ * Build the calibration report: accuracy per confidence level, then the
+ * topics with confident misses. `topicLabel` maps a topic id to a name.
+ */
+export function createCalibrationReport(summary, topicLabel = id => id) {
+  const report = createEl('div', { class: 'calibration' });
+
+  const rows = CONFIDENCE_LEVELS.map(level => {
+    const { correct, total } = summary.levels[level.id];
+    return createEl('tr', {}, [
+      createEl('th', { scope: 'row', text: level.label }),
+      createEl('td', { text: String(total) }),
+      createEl('td', { text: String(correct) }),
+      createEl('td', { text: total > 0 ? `${Math.round((correct / total) * 100)}%` : '--' })
+    ]);
+  });
+
+  report.appendChild(createEl('table', { class: 'calibration__table' }, [
+    createEl('thead', {}, [
+      createEl('tr', {}, ['Confidence', 'Answered', 'Correct', 'Accuracy'].map(col => createEl('th', { scope: 'col', text: col })))
+    ]),
+    createEl('tbody', {}, rows)
+  ]));
+
+  const misses = createEl('div', { class: 'calibration__misses' }, [
+    createEl('h4', { class: 'calibration__title', text: 'Confidently Wrong' })
+  ]);
+
+  if (summary.confidentMisses.length === 0) {
+    misses.appendChild(createEl('p', { class: 'calibration__empty', text: 'No misses on answers you were sure of.' }));
+  } else {
+    misses.appendChild(createEl('p', {
+      class: 'calibration__note',
+      text: 'You were sure of these answers and got them wrong. Review these topics first.'
+    }));
+    const list = createEl('ul', { class: 'calibration__list' });
+    summary.confidentMisses.forEach(({ topic, count }) => {
+      list.appendChild(createEl('li', { class: 'calibration__item' }, [
+        createEl('span', { text: topicLabel(topic) }),
+        createEl('span', { class: 'calibration__count', text: `${count} missed` })
+      ]));
+    });
+    misses.appendChild(list);
+  }
+
+  report.appendChild(misses);
+  return report;
+}
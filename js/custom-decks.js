@@ -0,0 +1,401 @@
+// User-authored flashcard decks - stored in this browser, studied like built-in decks
+import { createEl, showToast } from './utils.js';
+import { deleteCardStates } from './srs.js';
+
+const STORAGE_KEY = 'lf_custom_decks';
+const CUSTOM_PREFIX = 'custom-';
+
+// ── Storage ──
+
+export function isCustomDeck(deckId) {
+  return String(deckId || '').startsWith(CUSTOM_PREFIX);
+}
+
+/** All custom decks as [{ id, name, cards: [{ id, front, back, topic, topicName }] }]. */
+export function loadCustomDecks() {
+  try {
+    const decks = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(decks) ? decks : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveCustomDecks(decks) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(decks));
+  } catch {
+    showToast('Could not save your deck - browser storage is full', 'error');
+  }
+}
+
+export function getCustomDeck(deckId) {
+  return loadCustomDecks().find(deck => deck.id === deckId) || null;
+}
+
+// Ids are unique per browser; card ids start with their deck's id like built-in cards
+let idCounter = 0;
+function makeId(prefix) {
+  return `${prefix}${Date.now().toString(36)}${(idCounter++).toString(36)}`;
+}
+
+function normalizeCard(deckId, card) {
+  const topic = (card.topicName || card.topic || '').trim();
+  return {
+    id: card.id || makeId(`${deckId}-`),
+    front: card.front.trim(),
+    back: card.back.trim(),
+    topic,
+    topicName: topic
+  };
+}
+
+/**
+ * Create a deck named `name`, optionally with cards ({ front, back,
+ * topicName }), and return it.
+ */
+export function createCustomDeck(name, cards = []) {
+  const decks = loadCustomDecks();
+  const id = makeId(CUSTOM_PREFIX);
+  const deck = { id, name: name.trim(), cards: cards.map(card => normalizeCard(id, card)) };
+  decks.push(deck);
+  saveCustomDecks(decks);
+  return deck;
+}
+
+function updateDeck(deckId, update) {
+  const decks = loadCustomDecks();
+  const deck = decks.find(d => d.id === deckId);
+  if (!deck) return null;
+  update(deck);
+  saveCustomDecks(decks);
+  return deck;
+}
+
+export function renameCustomDeck(deckId, name) {
+  return updateDeck(deckId, deck => { deck.name = name.trim(); });
+}
+
+export function deleteCustomDeck(deckId) {
+  const deck = getCustomDeck(deckId);
+  if (!deck) return;
+  saveCustomDecks(loadCustomDecks().filter(d => d.id !== deckId));
+  deleteCardStates(deck.cards.map(card => card.id));
+}
+
+/** Add `card`, or replace the card with the same id. */
+export function saveCustomCard(deckId, card) {
+  return updateDeck(deckId, deck => {
+    const saved = normalizeCard(deckId, card);
+    const index = deck.cards.findIndex(c => c.id === saved.id);
+    if (index >= 0) deck.cards[index] = saved;
+    else deck.cards.push(saved);
+  });
+}
+
+export function deleteCustomCard(deckId, cardId) {
+  updateDeck(deckId, deck => { deck.cards = deck.cards.filter(c => c.id !== cardId); });
+  deleteCardStates([cardId]);
+}
+
+// ── Deck manager ──
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Ask before deleting, in an in-page dialog that keeps focus until it is
+ * answered. Cancel, Escape and a click outside leave everything as it was.
+ */
+function confirmDelete(title, message, onDelete) {
+  const returnFocus = document.activeElement;
+  const backdrop = createEl('div', { class: 'modal-backdrop active' });
+  const cancelBtn = createEl('button', { type: 'button', class: 'btn btn--secondary', text: 'Cancel' });
+  const deleteBtn = createEl('button', { type: 'button', class: 'btn btn--danger', text: 'Delete' });
+  const dialog = createEl('div', {
+    class: 'modal active',
+    role: 'alertdialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'deck-confirm-title',
+    'aria-describedby': 'deck-confirm-message'
+  }, [
+    createEl('h2', { class: 'modal__title', id: 'deck-confirm-title', text: title }),
+    createEl('p', { class: 'modal__message', id: 'deck-confirm-message', text: message }),
+    createEl('div', { class: 'modal__actions' }, [cancelBtn, deleteBtn])
+  ]);
+
+  const close = () => {
+    backdrop.remove();
+    dialog.remove();
+    if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+  };
+  cancelBtn.addEventListener('click', close);
+  backdrop.addEventListener('click', close);
+  deleteBtn.addEventListener('click', () => {
+    close();
+    onDelete();
+  });
+
+  // Keep focus inside the dialog; Escape cancels
+  dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    if (e.shiftKey && document.activeElement === cancelBtn) {
+      e.preventDefault();
+      deleteBtn.focus();
+    } else if (!e.shiftKey && document.activeElement === deleteBtn) {
+      e.preventDefault();
+      cancelBtn.focus();
+    }
+  });
+
+  document.body.appendChild(backdrop);
+  document.body.appendChild(dialog);
+  cancelBtn.focus();
+}
+
+/**
+ * List of custom decks with create, import, edit, delete and study actions.
+ * `handlers.onStudy(deckId)` starts a session, `handlers.onClose()` leaves
+ * and `handlers.loadDecks()` lists every deck for duplicate checks on import.
+ */
+export function renderDeckManager(root, handlers) {
+  root.innerHTML = '';
+  const decks = loadCustomDecks();
+  const manager = createEl('div', { class: 'deck-manager' }, [
+    createEl('h2', { class: 'deck-manager__title', text: 'My Decks' }),
+    createEl('p', {
+      class: 'deck-manager__intro',
+      text: 'Add your own cards alongside the exam decks. Custom decks are saved in this browser only.'
+    })
+  ]);
+
+  const nameInput = createEl('input', { type: 'text', id: 'deck-name-input', maxlength: '80', required: '' });
+  const createForm = createEl('form', { class: 'deck-manager__create' }, [
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'deck-name-input', text: 'New deck name' }),
+      nameInput
+    ]),
+    createEl('button', { type: 'submit', class: 'btn btn--primary', text: 'Create Deck' })
+  ]);
+  createForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = nameInput.value.trim();
+    if (!name) {
+      showToast('Please enter a deck name', 'error');
+      return;
+    }
+    const deck = createCustomDeck(name);
+    renderDeckEditor(root, deck.id, handlers);
+  });
+  manager.appendChild(createForm);
+
+  manager.appendChild(createEl('button', {
+    type: 'button',
+    class: 'btn btn--secondary deck-manager__import',
+    text: 'Import from CSV/TSV',
+    onClick: () => import('./deck-import.js')
+      .then(m => m.chooseImportFile(root, handlers))
+      .catch(() => showToast('Could not load the importer - check your connection', 'error'))
+  }));
+
+  if (decks.length === 0) {
+    manager.appendChild(createEl('p', { class: 'deck-manager__empty', text: 'No custom decks yet.' }));
+  } else {
+    const list = createEl('ul', { class: 'deck-manager__list' });
+    decks.forEach(deck => {
+      const studyBtn = createEl('button', {
+        type: 'button',
+        class: 'btn btn--primary',
+        text: 'Study',
+        onClick: () => handlers.onStudy(deck.id)
+      });
+      studyBtn.disabled = deck.cards.length === 0;
+
+      list.appendChild(createEl('li', { class: 'deck-manager__deck' }, [
+        createEl('span', { class: 'deck-manager__name', text: deck.name }),
+        createEl('span', { class: 'deck-manager__count', text: plural(deck.cards.length, 'card') }),
+        createEl('div', { class: 'deck-manager__actions' }, [
+          studyBtn,
+          createEl('button', {
+            type: 'button',
+            class: 'btn btn--secondary',
+            text: 'Edit',
+            onClick: () => renderDeckEditor(root, deck.id, handlers)
+          }),
+          createEl('button', {
+            type: 'button',
+            class: 'btn btn--danger',
+            text: 'Delete',
+            onClick: () => confirmDelete(
+              'Delete Deck?',
+              `"${deck.name}" and its ${plural(deck.cards.length, 'card')} will be deleted. This cannot be undone.`,
+              () => {
+                deleteCustomDeck(deck.id);
+                showToast('Deck deleted', 'default');
+                renderDeckManager(root, handlers);
+              }
+            )
+          })
+        ])
+      ]));
+    });
+    manager.appendChild(list);
+  }
+
+  manager.appendChild(createEl('button', {
+    type: 'button',
+    class: 'btn btn--secondary deck-manager__back',
+    text: 'Back to Flashcards',
+    onClick: handlers.onClose
+  }));
+
+  root.appendChild(manager);
+}
+
+// ── Deck editor ──
+
+/** Rename a deck and add, edit or delete its cards. */
+export function renderDeckEditor(root, deckId, handlers, editingCardId = null) {
+  const deck = getCustomDeck(deckId);
+  if (!deck) {
+    renderDeckManager(root, handlers);
+    return;
+  }
+  const editing = deck.cards.find(card => card.id === editingCardId) || null;
+  const rerender = (cardId = null) => renderDeckEditor(root, deckId, handlers, cardId);
+
+  root.innerHTML = '';
+  const editor = createEl('div', { class: 'deck-editor' }, [
+    createEl('h2', { class: 'deck-editor__title', text: deck.name })
+  ]);
+
+  // Rename
+  const renameInput = createEl('input', { type: 'text', id: 'deck-rename-input', maxlength: '80', value: deck.name });
+  const renameForm = createEl('form', { class: 'deck-editor__rename' }, [
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'deck-rename-input', text: 'Deck name' }),
+      renameInput
+    ]),
+    createEl('button', { type: 'submit', class: 'btn btn--secondary', text: 'Rename' })
+  ]);
+  renameForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!renameInput.value.trim()) {
+      showToast('Please enter a deck name', 'error');
+      return;
+    }
+    renameCustomDeck(deckId, renameInput.value);
+    showToast('Deck renamed', 'success');
+    rerender();
+  });
+  editor.appendChild(renameForm);
+
+  // Card form - adds a card, or edits the one picked from the list
+  const topics = [...new Set(deck.cards.map(card => card.topicName).filter(Boolean))].sort();
+  const frontInput = createEl('textarea', { id: 'deck-card-front', rows: '2', required: '' });
+  const backInput = createEl('textarea', { id: 'deck-card-back', rows: '3', required: '' });
+  const topicInput = createEl('input', { type: 'text', id: 'deck-card-topic', list: 'deck-card-topics', maxlength: '80' });
+  frontInput.value = editing ? editing.front : '';
+  backInput.value = editing ? editing.back : '';
+  topicInput.value = editing ? editing.topicName : '';
+
+  const cardForm = createEl('form', { class: 'deck-editor__card-form' }, [
+    createEl('h3', { class: 'deck-editor__subtitle', text: editing ? 'Edit Card' : 'Add a Card' }),
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'deck-card-front', text: 'Front' }),
+      frontInput
+    ]),
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'deck-card-back', text: 'Back' }),
+      backInput
+    ]),
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'deck-card-topic', text: 'Topic (optional)' }),
+      topicInput,
+      createEl('datalist', { id: 'deck-card-topics' }, topics.map(topic => createEl('option', { value: topic })))
+    ]),
+    createEl('div', { class: 'deck-editor__form-actions' }, [
+      createEl('button', { type: 'submit', class: 'btn btn--primary', text: editing ? 'Save Card' : 'Add Card' }),
+      editing ? createEl('button', { type: 'button', class: 'btn btn--secondary', text: 'Cancel', onClick: () => rerender() }) : null
+    ])
+  ]);
+  cardForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!frontInput.value.trim() || !backInput.value.trim()) {
+      showToast('A card needs both a front and a back', 'error');
+      return;
+    }
+    saveCustomCard(deckId, {
+      id: editing ? editing.id : undefined,
+      front: frontInput.value,
+      back: backInput.value,
+      topicName: topicInput.value
+    });
+    showToast(editing ? 'Card saved' : 'Card added', 'success');
+    rerender();
+    document.getElementById('deck-card-front')?.focus();
+  });
+
+  // Card list
+  editor.appendChild(createEl('h3', { class: 'deck-editor__subtitle', text: `Cards (${deck.cards.length})` }));
+  if (deck.cards.length === 0) {
+    editor.appendChild(createEl('p', { class: 'deck-editor__empty', text: 'No cards yet. Add your first one below.' }));
+  } else {
+    const list = createEl('ol', { class: 'deck-editor__cards' });
+    deck.cards.forEach(card => {
+      list.appendChild(createEl('li', {
+        class: card.id === editingCardId ? 'deck-editor__card deck-editor__card--editing' : 'deck-editor__card'
+      }, [
+        createEl('p', { class: 'deck-editor__front', text: card.front }),
+        createEl('p', { class: 'deck-editor__back', text: card.back }),
+        card.topicName ? createEl('span', { class: 'deck-editor__topic', text: card.topicName }) : null,
+        createEl('div', { class: 'deck-editor__card-actions' }, [
+          createEl('button', {
+            type: 'button',
+            class: 'btn btn--secondary',
+            text: 'Edit',
+            onClick: () => {
+              rerender(card.id);
+              document.getElementById('deck-card-front')?.focus();
+            }
+          }),
+          createEl('button', {
+            type: 'button',
+            class: 'btn btn--danger',
+            text: 'Delete',
+            onClick: () => confirmDelete('Delete Card?', 'This card will be deleted. This cannot be undone.', () => {
+              deleteCustomCard(deckId, card.id);
+              rerender();
+            })
+          })
+        ])
+      ]));
+    });
+    editor.appendChild(list);
+  }
+
+  editor.appendChild(cardForm);
+
+  const studyBtn = createEl('button', {
+    type: 'button',
+    class: 'btn btn--primary',
+    text: 'Study This Deck',
+    onClick: () => handlers.onStudy(deckId)
+  });
+  studyBtn.disabled = deck.cards.length === 0;
+  editor.appendChild(createEl('div', { class: 'deck-editor__actions' }, [
+    studyBtn,
+    createEl('button', {
+      type: 'button',
+      class: 'btn btn--secondary',
+      text: 'Back to My Decks',
+      onClick: () => renderDeckManager(root, handlers)
+    })
+  ]));
+
+  root.appendChild(editor);
+}
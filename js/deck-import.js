@@ -0,0 +1,345 @@
+// CSV/TSV import for custom flashcard decks
+import { createEl, showToast } from './utils.js';
+import { createCustomDeck, loadCustomDecks, renderDeckEditor, renderDeckManager } from './custom-decks.js';
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024; // bytes
+const PREVIEW_ROWS = 5;
+const PREVIEW_CELL_LENGTH = 60;
+
+// Card fields a column can be mapped to; header names recognised for each
+const FIELDS = [
+  { id: 'front', label: 'Front', required: true, headers: /^(front|question|term|prompt)$/i },
+  { id: 'back', label: 'Back', required: true, headers: /^(back|answer|definition)$/i },
+  { id: 'topicName', label: 'Topic', required: false, headers: /^(topic|topic ?name|category|tags?)$/i },
+  { id: 'id', label: 'Card ID', required: false, headers: /^(id|card ?id)$/i }
+];
+
+// ── Parsing ──
+
+// Delimiter used most on the first line, ignoring quoted text
+function detectDelimiter(text) {
+  const counts = { '\t': 0, ',': 0, ';': 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : ',';
+}
+
+/**
+ * Split CSV or TSV text into rows of cells. Handles a UTF-8 byte order
+ * mark, quoted fields with "" escapes and line breaks inside quotes, and
+ * CRLF line endings. Blank lines are dropped.
+ */
+export function parseDelimited(text, delimiter = null) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else if (ch !== '\r' || source[i + 1] !== '\n') {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// ── Mapping ──
+
+function guessMapping(rows, hasHeader) {
+  const mapping = { front: -1, back: -1, topicName: -1, id: -1 };
+  if (hasHeader) {
+    rows[0].forEach((cell, col) => {
+      const field = FIELDS.find(f => f.headers.test(cell.trim()));
+      if (field && mapping[field.id] === -1) mapping[field.id] = col;
+    });
+  }
+  // Without recognised headers assume front, back, topic in that order
+  if (mapping.front === -1 && mapping.back === -1) {
+    mapping.front = 0;
+    mapping.back = 1;
+    if (rows[0].length > 2 && mapping.topicName === -1) mapping.topicName = 2;
+  }
+  return mapping;
+}
+
+/**
+ * Turn parsed rows into cards under `mapping` ({ field: column index or -1 }).
+ * Rows without a front or back are skipped as incomplete; rows whose card
+ * id already exists in `existingIds`, or that repeat an earlier row, are
+ * skipped as duplicates.
+ */
+function buildCards(rows, hasHeader, mapping, existingIds) {
+  const cell = (cells, field) => (mapping[field] >= 0 ? (cells[mapping[field]] || '').trim() : '');
+  const seenIds = new Set(existingIds);
+  const seenCards = new Set();
+  const cards = [];
+  const duplicates = [];
+  let incomplete = 0;
+
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+    const card = { front: cell(cells, 'front'), back: cell(cells, 'back'), topicName: cell(cells, 'topicName') };
+    const id = cell(cells, 'id');
+    if (!card.front || !card.back) {
+      incomplete++;
+      return;
+    }
+    const content = `${card.front.toLowerCase()}\n${card.back.toLowerCase()}`;
+    if ((id && seenIds.has(id)) || seenCards.has(content)) {
+      duplicates.push({ row: index + (hasHeader ? 2 : 1), id, front: card.front });
+      return;
+    }
+    if (id) {
+      card.id = id;
+      seenIds.add(id);
+    }
+    seenCards.add(content);
+    cards.push(card);
+  });
+
+  return { cards, duplicates, incomplete };
+}
+
+// ── Import dialog ──
+
+function truncate(text) {
+  return text.length > PREVIEW_CELL_LENGTH ? `${text.slice(0, PREVIEW_CELL_LENGTH - 1)}\u2026` : text;
+}
+
+function readFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file, 'UTF-8');
+  });
+}
+
+/**
+ * Ask for a CSV or TSV file, then show the import dialog for it.
+ * `handlers` are the deck manager's; `handlers.loadDecks()` resolves to
+ * every deck so imported ids can be checked against existing cards.
+ */
+export function chooseImportFile(root, handlers) {
+  // Left out of the document, so a cancelled picker leaves nothing behind
+  const input = createEl('input', { type: 'file', accept: '.csv,.tsv,.tab,.txt,text/csv,text/tab-separated-values' });
+
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      showToast('That file is too large to import (2 MB limit)', 'error');
+      return;
+    }
+
+    try {
+      const text = await readFile(file);
+      const delimiter = /\.(tsv|tab)$/i.test(file.name) ? '\t' : null;
+      const rows = parseDelimited(text, delimiter);
+      if (rows.length === 0) {
+        showToast('That file has no rows to import', 'error');
+        return;
+      }
+      if (rows.every(cells => cells.length < 2)) {
+        showToast('Cards need at least two columns: a front and a back', 'error');
+        return;
+      }
+      await renderImportDialog(root, handlers, { fileName: file.name, rows });
+    } catch {
+      showToast('Failed to read that file', 'error');
+    }
+  });
+
+  input.click();
+}
+
+/** Preview `rows`, map columns to card fields and create a deck from them. */
+export async function renderImportDialog(root, handlers, { fileName, rows }) {
+  const decks = handlers.loadDecks ? await handlers.loadDecks() : [];
+  const existingIds = new Set([...decks, ...loadCustomDecks()].flatMap(deck => deck.cards.map(card => card.id)));
+
+  const columnCount = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+  const hasHeaderGuess = rows[0].some(cell => FIELDS.some(f => f.headers.test(cell.trim())));
+  const state = {
+    hasHeader: hasHeaderGuess,
+    mapping: guessMapping(rows, hasHeaderGuess),
+    deckName: fileName.replace(/\.[^.]+$/, '')
+  };
+
+  root.innerHTML = '';
+  const dialog = createEl('div', { class: 'deck-import', role: 'dialog', 'aria-labelledby': 'deck-import-title' }, [
+    createEl('h2', { class: 'deck-import__title', id: 'deck-import-title', text: 'Import Cards' }),
+    createEl('p', { class: 'deck-import__file', text: `${fileName} \u00b7 ${rows.length} row${rows.length === 1 ? '' : 's'}` })
+  ]);
+
+  const nameInput = createEl('input', { type: 'text', id: 'import-deck-name', maxlength: '80', value: state.deckName });
+  nameInput.addEventListener('input', () => { state.deckName = nameInput.value; });
+  dialog.appendChild(createEl('div', { class: 'form-group' }, [
+    createEl('label', { for: 'import-deck-name', text: 'Deck name' }),
+    nameInput
+  ]));
+
+  const headerToggle = createEl('input', { type: 'checkbox', id: 'import-header-toggle', class: 'toggle__input' });
+  headerToggle.checked = state.hasHeader;
+  dialog.appendChild(createEl('div', { class: 'form-group' }, [
+    createEl('label', { class: 'toggle' }, [
+      headerToggle,
+      createEl('span', { class: 'toggle__label', text: 'First row is a header' })
+    ])
+  ]));
+
+  const mappingWrap = createEl('div', { class: 'deck-import__mapping' });
+  const preview = createEl('div', { class: 'deck-import__preview' });
+  const summary = createEl('p', { class: 'deck-import__summary', role: 'status' });
+  const importBtn = createEl('button', { type: 'button', class: 'btn btn--primary' });
+  dialog.appendChild(mappingWrap);
+  dialog.appendChild(preview);
+  dialog.appendChild(summary);
+
+  const columnLabel = col => {
+    const heading = state.hasHeader ? (rows[0][col] || '').trim() : '';
+    return heading ? `Column ${col + 1}: ${truncate(heading)}` : `Column ${col + 1}`;
+  };
+
+  let result = null;
+  const refresh = () => {
+    // Column selects
+    mappingWrap.innerHTML = '';
+    FIELDS.forEach(field => {
+      const select = createEl('select', { id: `import-map-${field.id}`, class: 'form-select' });
+      if (!field.required) select.appendChild(createEl('option', { value: '-1', text: '\u2014 None \u2014' }));
+      for (let col = 0; col < columnCount; col++) {
+        const opt = createEl('option', { value: String(col), text: columnLabel(col) });
+        if (state.mapping[field.id] === col) opt.selected = true;
+        select.appendChild(opt);
+      }
+      select.addEventListener('change', () => {
+        state.mapping[field.id] = Number(select.value);
+        refresh();
+      });
+      mappingWrap.appendChild(createEl('div', { class: 'form-group' }, [
+        createEl('label', { for: `import-map-${field.id}`, text: field.required ? field.label : `${field.label} (optional)` }),
+        select
+      ]));
+    });
+
+    // First rows as they will be read
+    const mapped = col => FIELDS.find(f => state.mapping[f.id] === col);
+    const table = createEl('table', { class: 'deck-import__table' });
+    const head = createEl('tr');
+    for (let col = 0; col < columnCount; col++) {
+      const field = mapped(col);
+      head.appendChild(createEl('th', {
+        scope: 'col',
+        class: field ? 'deck-import__col deck-import__col--mapped' : 'deck-import__col',
+        text: field ? `${columnLabel(col)} \u2192 ${field.label}` : columnLabel(col)
+      }));
+    }
+    table.appendChild(createEl('thead', {}, [head]));
+    const body = createEl('tbody');
+    rows.slice(state.hasHeader ? 1 : 0, (state.hasHeader ? 1 : 0) + PREVIEW_ROWS).forEach(cells => {
+      const tr = createEl('tr');
+      for (let col = 0; col < columnCount; col++) {
+        tr.appendChild(createEl('td', { text: truncate(cells[col] || '') }));
+      }
+      body.appendChild(tr);
+    });
+    table.appendChild(body);
+    preview.innerHTML = '';
+    preview.appendChild(table);
+
+    // What importing would do
+    const missingField = FIELDS.find(f => f.required && state.mapping[f.id] < 0);
+    const sameColumn = state.mapping.front >= 0 && state.mapping.front === state.mapping.back;
+    result = missingField || sameColumn ? null : buildCards(rows, state.hasHeader, state.mapping, existingIds);
+
+    summary.innerHTML = '';
+    if (!result) {
+      summary.textContent = 'Choose different columns for the front and back of each card.';
+    } else {
+      const parts = [`${result.cards.length} card${result.cards.length === 1 ? '' : 's'} ready to import`];
+      if (result.duplicates.length) parts.push(`${result.duplicates.length} duplicate${result.duplicates.length === 1 ? '' : 's'} skipped`);
+      if (result.incomplete) parts.push(`${result.incomplete} row${result.incomplete === 1 ? '' : 's'} missing a front or back skipped`);
+      summary.textContent = parts.join(' \u00b7 ');
+      if (result.duplicates.length) {
+        const list = createEl('ul', { class: 'deck-import__duplicates' });
+        result.duplicates.slice(0, PREVIEW_ROWS).forEach(dup => {
+          list.appendChild(createEl('li', {
+            text: `Row ${dup.row}: ${truncate(dup.front)}${dup.id ? ` (id ${dup.id})` : ''}`
+          }));
+        });
+        if (result.duplicates.length > PREVIEW_ROWS) {
+          list.appendChild(createEl('li', { text: `and ${result.duplicates.length - PREVIEW_ROWS} more` }));
+        }
+        summary.appendChild(list);
+      }
+    }
+
+    const count = result ? result.cards.length : 0;
+    importBtn.textContent = `Import ${count} Card${count === 1 ? '' : 's'}`;
+    importBtn.disabled = count === 0;
+  };
+
+  headerToggle.addEventListener('change', () => {
+    state.hasHeader = headerToggle.checked;
+    refresh();
+  });
+
+  importBtn.addEventListener('click', () => {
+    const name = state.deckName.trim();
+    if (!name) {
+      showToast('Please enter a deck name', 'error');
+      nameInput.focus();
+      return;
+    }
+    if (!result || result.cards.length === 0) return;
+    const deck = createCustomDeck(name, result.cards);
+    showToast(`Imported ${deck.cards.length} card${deck.cards.length === 1 ? '' : 's'}`, 'success');
+    renderDeckEditor(root, deck.id, handlers);
+  });
+
+  dialog.appendChild(createEl('div', { class: 'deck-import__actions' }, [
+    importBtn,
+    createEl('button', {
+      type: 'button',
+      class: 'btn btn--secondary',
+      text: 'Cancel',
+      onClick: () => renderDeckManager(root, handlers)
+    })
+  ]));
+
+  refresh();
+  root.appendChild(dialog);
+}
@@ -61,6 +61,7 @@ function renderOutline(container, exam, examId) {
           ${renderWeightBar(weight)}
           ${renderSubtopics(topic, examId, sectionNum)}
           ${renderConcepts(topic)}
+          ${renderPracticeLink(topic, examId)}
         </div>
       </div>
     `;
@@ -129,6 +130,17 @@ function renderConcepts(topic) {
   return `<h4 class="mb-2">Key Concepts</h4>${cards}`;
 }
 
+function renderPracticeLink(topic, examId) {
+  if (!topic.id) return '';
+
+  const href = `../quiz/?exam=${encodeURIComponent(examId)}&topics=${encodeURIComponent(topic.id)}`;
+  return `
+    <div class="outline-practice">
+      <a href="${href}" class="btn btn-secondary btn-sm">Practice this section</a>
+    </div>
+  `;
+}
+
 // ── Study Tips ──────────────────────────────────────────────────
 
 function renderStudyTips(container, exam) {
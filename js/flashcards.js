@@ -1,9 +1,12 @@
-// Flashcard study module with Leitner spaced-repetition system
-import { $, fetchJSON, getBasePath, createEl, escapeHTML } from './utils.js';
+// Flashcard study module with graded (SM-2) or Leitner spaced repetition
+import { $, fetchJSON, getBasePath, createEl, escapeHTML, dataFileId } from './utils.js';
 import { initSwipeGesture } from './gestures.js';
-
-const STORAGE_KEY = 'lf_flashcards';
-const BOX_INTERVALS = { 1: 0, 2: 2, 3: 4, 4: 7, 5: 14 };
+import {
+  GRADES, SCHEDULERS, DIRECTIONS, todayISO, loadCardStates, saveCardStates, newCard,
+  getScheduler, setScheduler, getStudyMode, setStudyMode, stateKey, scheduleCard, formatInterval
+} from './srs.js';
+import { compareAnswer } from './recall.js';
+import { isCustomDeck, loadCustomDecks, getCustomDeck, renderDeckManager } from './custom-decks.js';
 
 // Available exams list (matches data/exams.json ids)
 const EXAM_OPTIONS = [
@@ -25,6 +28,9 @@ const EXAM_OPTIONS = [
   { id: 'series4', name: 'Series 4 - Registered Options Principal' }
 ];
 
+// Button style per grade in graded mode
+const GRADE_BUTTONS = { again: 'btn--danger', hard: 'btn--secondary', good: 'btn--success', easy: 'btn--primary' };
+
 /* -------------------------------------------------- */
 /*  State                                              */
 /* -------------------------------------------------- */
@@ -32,47 +38,43 @@ let allCards = [];
 let studyQueue = [];
 let currentIndex = 0;
 let sessionStats = { mastered: 0, reviewing: 0, total: 0 };
-let leitnerState = {};
+let cardStates = {};
+let scheduler = 'sm2';
+let direction = 'forward';
+let typedMode = false;
 let currentExamId = '';
+let reviewingAllDue = false;
+let deckCache = null;
 
 /* -------------------------------------------------- */
 /*  Helpers                                            */
 /* -------------------------------------------------- */
-function todayISO() {
-  return new Date().toISOString().split('T')[0];
-}
-
-function addDays(dateStr, days) {
-  const d = new Date(dateStr);
-  d.setDate(d.getDate() + days);
-  return d.toISOString().split('T')[0];
+// Unreviewed cards get a fresh state that is only stored once graded
+function getCardState(cardId) {
+  return cardStates[stateKey(cardId, direction)] || newCard(todayISO());
 }
 
-function loadLeitnerState() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : {};
-  } catch {
-    return {};
-  }
+function isDue(cardId) {
+  const state = getCardState(cardId);
+  return state.nextReview <= todayISO();
 }
 
-function saveLeitnerState() {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(leitnerState));
-  } catch { /* quota exceeded - silently fail */ }
+// Due for review: studied before and scheduled for today or earlier
+function isReviewDue(cardId) {
+  return Boolean(cardStates[stateKey(cardId, direction)]) && isDue(cardId);
 }
 
-function getCardState(cardId) {
-  if (!leitnerState[cardId]) {
-    leitnerState[cardId] = { box: 1, nextReview: todayISO() };
-  }
-  return leitnerState[cardId];
+// Text to recall from and the expected answer in the current direction
+function cardSides(card) {
+  const front = card.front || card.question || card.term || '';
+  const back = card.back || card.answer || card.definition || '';
+  return direction === 'reverse' ? { prompt: back, answer: front } : { prompt: front, answer: back };
 }
 
-function isDue(cardId) {
-  const state = getCardState(cardId);
-  return state.nextReview <= todayISO();
+function loadStudySettings() {
+  cardStates = loadCardStates();
+  scheduler = getScheduler();
+  ({ direction, typed: typedMode } = getStudyMode());
 }
 
 function boxToStars(box) {
@@ -102,6 +104,52 @@ function sortCards(cards) {
   });
 }
 
+/* -------------------------------------------------- */
+/*  Decks                                              */
+/* -------------------------------------------------- */
+
+/**
+ * Every deck listed in data/exams.json that has cards, then the user's
+ * custom decks, as { id, name, cards }. Built-in decks are fetched once
+ * per page load.
+ */
+async function loadAllDecks() {
+  if (!deckCache) {
+    const basePath = getBasePath();
+    const exams = await fetchJSON(`${basePath}data/exams.json`);
+    if (!Array.isArray(exams)) return [];
+
+    const decks = await Promise.all(exams.map(async exam => {
+      const id = dataFileId(exam.id);
+      const cards = await fetchJSON(`${basePath}data/flashcards/${id}.json`);
+      return { id, name: exam.series || exam.name, cards: Array.isArray(cards) ? cards : [] };
+    }));
+    deckCache = decks.filter(deck => deck.cards.length > 0);
+  }
+
+  const custom = loadCustomDecks().filter(deck => deck.cards.length > 0);
+  return [...deckCache, ...custom.map(({ id, name, cards }) => ({ id, name, cards }))];
+}
+
+// Cards of one deck: built-in decks come from data/flashcards, custom ones from storage
+async function loadDeckCards(deckId) {
+  if (isCustomDeck(deckId)) return getCustomDeck(deckId)?.cards || null;
+  const data = await fetchJSON(`${getBasePath()}data/flashcards/${deckId}.json`);
+  return Array.isArray(data) ? data : null;
+}
+
+function openDeckManager() {
+  renderDeckManager(getRoot(), {
+    onStudy: deckId => startSession(deckId, ''),
+    onClose: renderDeckSelector,
+    loadDecks: loadAllDecks
+  });
+}
+
+function countDue(cards) {
+  return cards.filter(card => isReviewDue(card.id)).length;
+}
+
 /* -------------------------------------------------- */
 /*  Rendering                                          */
 /* -------------------------------------------------- */
@@ -118,6 +166,10 @@ function renderDeckSelector() {
 
   root.innerHTML = '';
 
+  // Reviews due across every deck, filled in once the decks load
+  const duePanel = createEl('div', { class: 'flashcard-due', hidden: '' });
+  root.appendChild(duePanel);
+
   const form = createEl('form', { class: 'flashcard-selector' });
 
   // Exam dropdown
@@ -129,11 +181,22 @@ function renderDeckSelector() {
   examSelect.appendChild(defaultOpt);
 
   EXAM_OPTIONS.forEach(exam => {
-    const opt = createEl('option', { value: exam.id, text: exam.name });
+    const opt = createEl('option', { value: exam.id, text: exam.name, dataName: exam.name });
     if (preselectedExam && exam.id === preselectedExam) opt.selected = true;
     examSelect.appendChild(opt);
   });
 
+  const customDecks = loadCustomDecks();
+  if (customDecks.length > 0) {
+    const group = createEl('optgroup', { label: 'My Decks' });
+    customDecks.forEach(deck => {
+      const opt = createEl('option', { value: deck.id, text: deck.name, dataName: deck.name });
+      if (preselectedExam && deck.id === preselectedExam) opt.selected = true;
+      group.appendChild(opt);
+    });
+    examSelect.appendChild(group);
+  }
+
   examGroup.appendChild(examLabel);
   examGroup.appendChild(examSelect);
   form.appendChild(examGroup);
@@ -149,6 +212,54 @@ function renderDeckSelector() {
   topicGroup.appendChild(topicSelect);
   form.appendChild(topicGroup);
 
+  // Review schedule
+  const schedulerGroup = createEl('div', { class: 'form-group' });
+  const schedulerLabel = createEl('label', { for: 'fc-scheduler-select', text: 'Review Schedule' });
+  const schedulerSelect = createEl('select', { id: 'fc-scheduler-select', class: 'form-select' });
+  const savedScheduler = getScheduler();
+  SCHEDULERS.forEach(option => {
+    const opt = createEl('option', { value: option.id, text: option.label });
+    if (option.id === savedScheduler) opt.selected = true;
+    schedulerSelect.appendChild(opt);
+  });
+
+  schedulerGroup.appendChild(schedulerLabel);
+  schedulerGroup.appendChild(schedulerSelect);
+  schedulerGroup.appendChild(createEl('p', {
+    class: 'form-hint',
+    text: 'Graded reviews stretch intervals to months as you keep recalling a card; Leitner boxes cap them at two weeks.'
+  }));
+  form.appendChild(schedulerGroup);
+
+  // Study direction and typed recall
+  const studyMode = getStudyMode();
+  const directionGroup = createEl('div', { class: 'form-group' });
+  const directionLabel = createEl('label', { for: 'fc-direction-select', text: 'Study Direction' });
+  const directionSelect = createEl('select', { id: 'fc-direction-select', class: 'form-select' });
+  DIRECTIONS.forEach(option => {
+    const opt = createEl('option', { value: option.id, text: option.label });
+    if (option.id === studyMode.direction) opt.selected = true;
+    directionSelect.appendChild(opt);
+  });
+
+  directionGroup.appendChild(directionLabel);
+  directionGroup.appendChild(directionSelect);
+  form.appendChild(directionGroup);
+
+  const typedToggle = createEl('input', { type: 'checkbox', id: 'fc-typed-toggle', class: 'toggle__input' });
+  typedToggle.checked = studyMode.typed;
+  form.appendChild(createEl('div', { class: 'form-group' }, [
+    createEl('label', { class: 'toggle' }, [
+      typedToggle,
+      createEl('span', { class: 'toggle__label', text: 'Type my answer before flipping' })
+    ])
+  ]));
+
+  const saveChoices = () => {
+    setScheduler(schedulerSelect.value);
+    setStudyMode({ direction: directionSelect.value, typed: typedToggle.checked });
+  };
+
   // Start button
   const startBtn = createEl('button', {
     type: 'submit',
@@ -158,6 +269,13 @@ function renderDeckSelector() {
   });
   form.appendChild(startBtn);
 
+  form.appendChild(createEl('button', {
+    type: 'button',
+    class: 'btn btn--secondary flashcard-selector__decks',
+    text: 'Manage My Decks',
+    onClick: openDeckManager
+  }));
+
   root.appendChild(form);
 
   // Populate topics when exam changes
@@ -176,9 +294,8 @@ function renderDeckSelector() {
     startBtn.disabled = false;
 
     // Try to load the flashcard data to extract topics
-    const basePath = getBasePath();
-    const data = await fetchJSON(`${basePath}data/flashcards/${examId}.json`);
-    if (data && Array.isArray(data)) {
+    const data = await loadDeckCards(examId);
+    if (data) {
       const topics = [...new Set(data.map(c => c.topic).filter(Boolean))];
       topics.sort();
       topics.forEach(topic => {
@@ -197,6 +314,7 @@ function renderDeckSelector() {
     const examId = examSelect.value;
     if (!examId) return;
     const topic = topicSelect.value || '';
+    saveChoices();
     startSession(examId, topic);
   });
 
@@ -204,37 +322,105 @@ function renderDeckSelector() {
   if (preselectedExam) {
     examSelect.dispatchEvent(new Event('change'));
   }
+
+  renderDuePanel(duePanel, examSelect, () => {
+    saveChoices();
+    startDueSession();
+  });
+}
+
+/**
+ * Show how many reviews are due in each deck, both in the panel above the
+ * deck selector and next to each exam in the dropdown.
+ */
+async function renderDuePanel(panel, examSelect, onStart) {
+  const decks = await loadAllDecks();
+  loadStudySettings();
+  const dueDecks = decks
+    .map(deck => ({ ...deck, due: countDue(deck.cards) }))
+    .filter(deck => deck.due > 0);
+
+  [...examSelect.options].forEach(opt => {
+    const deck = dueDecks.find(d => d.id === opt.value);
+    if (opt.dataset.name) opt.textContent = deck ? `${opt.dataset.name} (${deck.due} due)` : opt.dataset.name;
+  });
+
+  const total = dueDecks.reduce((sum, deck) => sum + deck.due, 0);
+  panel.innerHTML = '';
+  panel.appendChild(createEl('h2', { class: 'flashcard-due__title', text: 'Due Today' }));
+
+  if (total === 0) {
+    panel.appendChild(createEl('p', {
+      class: 'flashcard-due__text',
+      text: 'No reviews due. Pick a deck below to learn new cards.'
+    }));
+  } else {
+    panel.appendChild(createEl('p', {
+      class: 'flashcard-due__text',
+      text: `${total} card${total === 1 ? '' : 's'} due across ${dueDecks.length} deck${dueDecks.length === 1 ? '' : 's'}`
+    }));
+
+    const list = createEl('ul', { class: 'flashcard-due__list' });
+    dueDecks.forEach(deck => {
+      list.appendChild(createEl('li', { class: 'flashcard-due__deck' }, [
+        createEl('span', { class: 'flashcard-due__name', text: deck.name }),
+        createEl('span', { class: 'flashcard-due__count', text: String(deck.due) })
+      ]));
+    });
+    panel.appendChild(list);
+
+    panel.appendChild(createEl('button', {
+      type: 'button',
+      class: 'btn btn--primary flashcard-due__start',
+      text: 'Review Everything Due',
+      onClick: onStart
+    }));
+  }
+
+  panel.hidden = false;
+}
+
+function renderLoading() {
+  const root = getRoot();
+  if (!root) return;
+  root.innerHTML = `
+    <div style="max-width:500px;margin:0 auto;padding:var(--space-xl);" aria-busy="true" aria-label="Loading flashcards">
+      <div class="skeleton skeleton--title" style="margin:0 auto var(--space-lg)"></div>
+      <div class="skeleton" style="height:320px;border-radius:var(--radius-xl);margin-bottom:var(--space-lg)"></div>
+      <div style="display:flex;gap:var(--space-md);justify-content:center">
+        <div class="skeleton skeleton--btn"></div>
+        <div class="skeleton skeleton--btn"></div>
+      </div>
+    </div>
+  `;
+}
+
+// Order `allCards` for study and show the first one
+function beginQueue() {
+  studyQueue = sortCards(allCards);
+  currentIndex = 0;
+  sessionStats.total = studyQueue.length;
+
+  renderCard();
 }
 
 async function startSession(examId, topicFilter) {
   currentExamId = examId;
+  reviewingAllDue = false;
   sessionStats = { mastered: 0, reviewing: 0, total: 0 };
-  leitnerState = loadLeitnerState();
+  loadStudySettings();
 
   // Show skeleton loading state
-  const root = getRoot();
-  if (root) {
-    root.innerHTML = `
-      <div style="max-width:500px;margin:0 auto;padding:var(--space-xl);" aria-busy="true" aria-label="Loading flashcards">
-        <div class="skeleton skeleton--title" style="margin:0 auto var(--space-lg)"></div>
-        <div class="skeleton" style="height:320px;border-radius:var(--radius-xl);margin-bottom:var(--space-lg)"></div>
-        <div style="display:flex;gap:var(--space-md);justify-content:center">
-          <div class="skeleton skeleton--btn"></div>
-          <div class="skeleton skeleton--btn"></div>
-        </div>
-      </div>
-    `;
-  }
+  renderLoading();
 
-  const basePath = getBasePath();
-  const data = await fetchJSON(`${basePath}data/flashcards/${examId}.json`);
+  const data = await loadDeckCards(examId);
 
-  if (!data || !Array.isArray(data) || data.length === 0) {
+  if (!data || data.length === 0) {
     const root = getRoot();
     root.innerHTML = `
       <div class="flashcard-empty">
         <h2>No Flashcards Available</h2>
-        <p>Flashcard data for this exam hasn't been added yet.</p>
+        <p>${isCustomDeck(examId) ? 'This deck has no cards yet.' : 'Flashcard data for this exam hasn\'t been added yet.'}</p>
         <a href="./" class="btn btn--primary">Back to Flashcards</a>
       </div>
     `;
@@ -248,11 +434,40 @@ async function startSession(examId, topicFilter) {
     allCards = allCards.filter(c => c.topic === topicFilter);
   }
 
-  studyQueue = sortCards(allCards);
-  currentIndex = 0;
-  sessionStats.total = studyQueue.length;
+  beginQueue();
+}
 
-  renderCard();
+/**
+ * Study every card from every deck that is due for review, weakest first.
+ * Grades are stored against each card's own id, so they count toward its
+ * deck just as in a single-deck session.
+ */
+async function startDueSession() {
+  currentExamId = '';
+  reviewingAllDue = true;
+  sessionStats = { mastered: 0, reviewing: 0, total: 0 };
+  loadStudySettings();
+
+  renderLoading();
+
+  const decks = await loadAllDecks();
+  allCards = decks.flatMap(deck => deck.cards
+    .filter(card => isReviewDue(card.id))
+    .map(card => ({ ...card, deck: deck.name })));
+
+  if (allCards.length === 0) {
+    const root = getRoot();
+    root.innerHTML = `
+      <div class="flashcard-empty">
+        <h2>Nothing Due</h2>
+        <p>You're caught up on reviews in every deck.</p>
+        <a href="./" class="btn btn--primary">Back to Flashcards</a>
+      </div>
+    `;
+    return;
+  }
+
+  beginQueue();
 }
 
 function renderCard() {
@@ -267,6 +482,7 @@ function renderCard() {
   const card = studyQueue[currentIndex];
   const state = getCardState(card.id);
   const stars = boxToStars(state.box);
+  const { prompt, answer } = cardSides(card);
 
   root.innerHTML = '';
 
@@ -313,13 +529,16 @@ function renderCard() {
   const back = createEl('div', { class: 'flip-card__back' });
 
   // Front content
+  if (card.deck) {
+    front.appendChild(createEl('span', { class: 'flip-card__deck', text: card.deck }));
+  }
   if (card.topic) {
     front.appendChild(createEl('span', { class: 'flip-card__topic', text: card.topic }));
   }
-  front.appendChild(createEl('p', { class: 'flip-card__text', text: card.front || card.question || card.term || '' }));
+  front.appendChild(createEl('p', { class: 'flip-card__text', text: prompt }));
 
   // Back content
-  back.appendChild(createEl('p', { class: 'flip-card__text', text: card.back || card.answer || card.definition || '' }));
+  back.appendChild(createEl('p', { class: 'flip-card__text', text: answer }));
 
   flipInner.appendChild(front);
   flipInner.appendChild(back);
@@ -347,68 +566,162 @@ function renderCard() {
   const actions = createEl('div', { class: 'flashcard-actions', id: 'flashcard-actions' });
   actions.hidden = true;
 
-  const stillBtn = createEl('button', {
-    class: 'btn btn--danger flashcard-btn flashcard-btn--left',
-    html: '&larr; Still Learning'
-  });
-  const knowBtn = createEl('button', {
-    class: 'btn btn--success flashcard-btn flashcard-btn--right',
-    html: 'Know It &rarr;'
-  });
+  if (scheduler === 'leitner') {
+    const stillBtn = createEl('button', {
+      class: 'btn btn--danger flashcard-btn flashcard-btn--left',
+      html: '&larr; Still Learning',
+      dataGrade: 'again'
+    });
+    const knowBtn = createEl('button', {
+      class: 'btn btn--success flashcard-btn flashcard-btn--right',
+      html: 'Know It &rarr;',
+      dataGrade: 'good'
+    });
 
-  stillBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    handleAnswer(false, flipCard);
-  });
+    stillBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleAnswer('again', flipCard);
+    });
 
-  knowBtn.addEventListener('click', (e) => {
-    e.stopPropagation();
-    handleAnswer(true, flipCard);
-  });
+    knowBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleAnswer('good', flipCard);
+    });
 
-  actions.appendChild(stillBtn);
-  actions.appendChild(knowBtn);
+    actions.appendChild(stillBtn);
+    actions.appendChild(knowBtn);
+  } else {
+    // One button per grade, labelled with the wait it would schedule
+    const today = todayISO();
+    GRADES.forEach(grade => {
+      const next = scheduleCard(state, grade.id, scheduler, today);
+      const btn = createEl('button', {
+        class: `btn ${GRADE_BUTTONS[grade.id]} flashcard-btn flashcard-btn--${grade.id}`,
+        'aria-keyshortcuts': grade.key,
+        'aria-label': `${grade.label}, next review ${formatInterval(next.stability)}`,
+        dataGrade: grade.id
+      }, [
+        createEl('span', { class: 'flashcard-btn__label', text: grade.label }),
+        createEl('span', { class: 'flashcard-btn__interval', text: formatInterval(next.stability) })
+      ]);
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleAnswer(grade.id, flipCard);
+      });
+      actions.appendChild(btn);
+    });
+  }
+  if (typedMode) {
+    root.appendChild(renderTypedRecall(answer, flipCard, actions));
+  }
   root.appendChild(actions);
 
   // Swipe support
   initSwipeGesture(flipCard, {
-    onSwipeRight: () => handleAnswer(true, flipCard),
-    onSwipeLeft: () => handleAnswer(false, flipCard)
+    onSwipeRight: () => handleAnswer('good', flipCard),
+    onSwipeLeft: () => handleAnswer('again', flipCard)
   });
 
-  // Focus the card for keyboard support
-  flipCard.focus();
+  // Focus the answer box in typed mode, otherwise the card for keyboard support
+  if (typedMode) $('#fc-typed-answer').focus();
+  else flipCard.focus();
 }
 
-function handleAnswer(knowIt, cardEl) {
+/* -------------------------------------------------- */
+/*  Typed recall                                       */
+/* -------------------------------------------------- */
+
+/**
+ * Answer box shown under the card in typed mode. Checking the answer
+ * flips the card, shows a word diff against it and suggests a grade;
+ * the learner still picks the grade.
+ */
+function renderTypedRecall(answer, flipCard, actions) {
+  const wrap = createEl('div', { class: 'flashcard-typed' });
+  const input = createEl('textarea', {
+    id: 'fc-typed-answer',
+    class: 'flashcard-typed__input',
+    rows: '3',
+    autocomplete: 'off',
+    spellcheck: 'false'
+  });
+  const form = createEl('form', { class: 'flashcard-typed__form' }, [
+    createEl('label', { for: 'fc-typed-answer', class: 'flashcard-typed__label', text: 'Type your answer' }),
+    input,
+    createEl('button', { type: 'submit', class: 'btn btn--primary', text: 'Check Answer' })
+  ]);
+  const result = createEl('div', { class: 'flashcard-typed__result', role: 'status' });
+  wrap.appendChild(form);
+  wrap.appendChild(result);
+
+  // Enter checks; Shift+Enter adds a line
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      form.requestSubmit();
+    }
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const comparison = compareAnswer(input.value, answer);
+    input.readOnly = true;
+    form.querySelector('button').disabled = true;
+
+    const { label, grade } = comparison.verdict;
+    // Only graded scheduling has a button for each grade to suggest
+    const suggested = actions.querySelector(`[data-grade="${grade}"]`);
+    let text = comparison.target > 0 ? `${label}: ${comparison.matched} of ${comparison.target} key terms` : label;
+    if (suggested) text += ` \u2014 suggest ${GRADES.find(g => g.id === grade).label}`;
+    result.appendChild(createEl('p', { class: `flashcard-typed__verdict flashcard-typed__verdict--${grade}`, text }));
+    result.appendChild(renderAnswerDiff(comparison.diff));
+
+    flipCard.classList.add('flipped');
+    actions.hidden = false;
+    if (suggested) {
+      suggested.classList.add('flashcard-btn--suggested');
+      suggested.focus();
+    } else {
+      flipCard.focus();
+    }
+  });
+
+  return wrap;
+}
+
+// Card answer with matched words, words left out and words typed that it lacks
+function renderAnswerDiff(diff) {
+  const view = createEl('p', { class: 'flashcard-diff' });
+  diff.forEach((part, i) => {
+    if (i > 0) view.appendChild(document.createTextNode(' '));
+    const tag = part.type === 'missing' ? 'ins' : part.type === 'extra' ? 'del' : 'span';
+    view.appendChild(createEl(tag, { class: `flashcard-diff__${part.type}`, text: part.text }));
+  });
+  return view;
+}
+
+function handleAnswer(grade, cardEl) {
   const card = studyQueue[currentIndex];
   const state = getCardState(card.id);
-  const today = todayISO();
 
-  if (knowIt) {
-    // Move up one box (max 5)
-    state.box = Math.min(state.box + 1, 5);
-    state.nextReview = addDays(today, BOX_INTERVALS[state.box]);
-    sessionStats.mastered++;
+  cardStates[stateKey(card.id, direction)] = scheduleCard(state, grade, scheduler);
+  saveCardStates(cardStates);
 
-    // Animate off to the right
-    if (cardEl) {
-      cardEl.classList.add('swipe-right');
-    }
-  } else {
-    // Reset to box 1
-    state.box = 1;
-    state.nextReview = today;
+  if (grade === 'again') {
     sessionStats.reviewing++;
 
     // Animate off to the left
     if (cardEl) {
       cardEl.classList.add('swipe-left');
     }
-  }
+  } else {
+    sessionStats.mastered++;
 
-  leitnerState[card.id] = state;
-  saveLeitnerState();
+    // Animate off to the right
+    if (cardEl) {
+      cardEl.classList.add('swipe-right');
+    }
+  }
 
   // Advance after animation
   setTimeout(() => {
@@ -461,13 +774,15 @@ function renderSummary() {
     text: 'Review Again'
   });
   reviewBtn.addEventListener('click', () => {
-    startSession(currentExamId, '');
+    if (reviewingAllDue) startDueSession();
+    else startSession(currentExamId, '');
   });
 
+  const examPage = currentExamId && !isCustomDeck(currentExamId);
   const backBtn = createEl('a', {
-    href: currentExamId ? `../exams/${currentExamId}.html` : './',
+    href: examPage ? `../exams/${currentExamId}.html` : './',
     class: 'btn btn--secondary',
-    text: 'Back to Exam'
+    text: examPage ? 'Back to Exam' : 'Back to Flashcards'
   });
 
   btnGroup.appendChild(reviewBtn);
@@ -495,6 +810,9 @@ function setupKeyboard() {
     const flipCard = $('.flip-card');
     if (!flipCard) return;
 
+    // Leave keys alone while typing an answer
+    if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
     switch (e.key) {
       case ' ':
       case 'Spacebar':
@@ -510,16 +828,25 @@ function setupKeyboard() {
       case 'ArrowRight':
         e.preventDefault();
         if (flipCard.classList.contains('flipped')) {
-          handleAnswer(true, flipCard);
+          handleAnswer('good', flipCard);
         }
         break;
 
       case 'ArrowLeft':
         e.preventDefault();
         if (flipCard.classList.contains('flipped')) {
-          handleAnswer(false, flipCard);
+          handleAnswer('again', flipCard);
         }
         break;
+
+      default: {
+        // 1-4 grade the card when graded reviews are on
+        const grade = GRADES.find(g => g.key === e.key);
+        if (grade && scheduler !== 'leitner' && flipCard.classList.contains('flipped')) {
+          e.preventDefault();
+          handleAnswer(grade.id, flipCard);
+        }
+      }
     }
   });
 }
@@ -540,6 +867,9 @@ export function initFlashcards() {
   if (examId) {
     // Start directly with this exam
     startSession(examId, '');
+  } else if (params.get('due') === 'true') {
+    // Start directly with every deck's due reviews
+    startDueSession();
   } else {
     // Show deck selector
     renderDeckSelector();
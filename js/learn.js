@@ -1,5 +1,6 @@
 // Learn section – interactive functions for course catalog, overview, chapter pages
 import { $, $$, fetchJSON, getBasePath, createEl, showToast, debounce } from './utils.js';
+import { currentYield, regTMargin, marginEquity, optionBreakeven, taxEquivalentYield } from './calculations.js';
 
 const STORAGE_KEY = 'lf_progress';
 
@@ -607,10 +608,10 @@ function computeCalculation(type, calc) {
         showToast('Please enter valid values. Market price must be greater than zero.', 'error');
         return null;
       }
-      const currentYield = (coupon / price) * 100;
+      const yieldPct = currentYield(coupon, price);
       return {
         label: 'Current Yield',
-        value: `${currentYield.toFixed(2)}%`,
+        value: `${yieldPct.toFixed(2)}%`,
         detail: `Annual Coupon ($${coupon.toFixed(2)}) / Market Price ($${price.toFixed(2)}) \u00D7 100`
       };
     }
@@ -622,11 +623,11 @@ function computeCalculation(type, calc) {
         showToast('Please enter a valid market value greater than zero.', 'error');
         return null;
       }
-      const regTMargin = marketValue * 0.5;
-      const equity = isNaN(debitBalance) ? regTMargin : marketValue - debitBalance;
+      const requirement = regTMargin(marketValue);
+      const equity = isNaN(debitBalance) ? requirement : marginEquity(marketValue, debitBalance);
       return {
         label: 'Margin Calculation',
-        value: `Reg T Margin: $${regTMargin.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+        value: `Reg T Margin: $${requirement.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
         detail: `Market Value: $${marketValue.toLocaleString('en-US', { minimumFractionDigits: 2 })}${!isNaN(debitBalance) ? ` | Equity: $${equity.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : ''}`
       };
     }
@@ -641,9 +642,7 @@ function computeCalculation(type, calc) {
         return null;
       }
 
-      const breakeven = optionType === 'put'
-        ? strike - premium
-        : strike + premium;
+      const breakeven = optionBreakeven(strike, premium, optionType);
 
       const typeLabel = optionType === 'put' ? 'Put' : 'Call';
       const formula = optionType === 'put'
@@ -670,7 +669,7 @@ function computeCalculation(type, calc) {
         showToast('Tax rate must be less than 100%.', 'error');
         return null;
       }
-      const taxEquivYield = taxFreeYield / (1 - rate);
+      const taxEquivYield = taxEquivalentYield(taxFreeYield, rate);
       return {
         label: 'Tax-Equivalent Yield',
         value: `${taxEquivYield.toFixed(2)}%`,
@@ -1,7 +1,30 @@
 // Progress tracking module - localStorage-based progress management
-import { $, $$, fetchJSON, showToast, createEl, getBasePath, formatDate } from './utils.js';
+import { $, $$, fetchJSON, showToast, createEl, getBasePath, formatDate, dataFileId } from './utils.js';
+import { isTemplate, instantiateTemplate } from './calculations.js';
 
 const STORAGE_KEY = 'lf_progress';
+const HISTORY_LIMIT = 10; // answers kept per question
+const RECENT_ATTEMPTS = 20; // rows in the dashboard attempt list
+const DETAILED_ATTEMPTS = 20; // newest attempts per exam that keep per-question details
+
+const MODE_LABELS = {
+  practice: 'Practice',
+  simulation: 'Exam Simulation',
+  adaptive: 'Adaptive',
+  missed: 'Missed Questions',
+  unseen: 'Unseen Questions',
+  flagged: 'Flagged Questions',
+  tutor: 'Tutor',
+  drill: 'Speed Drill'
+};
+
+const TIMER_LABELS = {
+  standard: 'Timed',
+  exam: 'Exam Pace',
+  'extended-150': '1.5x Time',
+  'extended-200': '2x Time',
+  stopwatch: 'Stopwatch'
+};
 
 // ── Internal helpers ──────────────────────────────────────────────
 
@@ -21,6 +44,8 @@ function getDefaultExamProgress() {
     topicsStudied: [],
     chaptersCompleted: [],
     quizScores: [],
+    questionHistory: {},   // { questionId: [{ date, choice, correct }] }
+    flaggedQuestions: [],
     flashcardsMastered: 0,
     lastActivity: null
   };
@@ -185,24 +210,88 @@ export function markTopicStudied(examId, topicId, studied) {
 }
 
 /**
- * Append a quiz score result
+ * Append a quiz score result. `details` carries optional per-attempt
+ * data: mode, timed, duration (seconds), per-topic { correct, total }
+ * results and `questions` - one { id, choice, correct, flagged, seconds }
+ * entry per question, with `order` for shuffled choices. The attempt's
+ * ISO `date` doubles as its id. Only the newest DETAILED_ATTEMPTS per exam
+ * keep their `questions`, so the store stays within the storage quota.
  */
-export function saveQuizScore(examId, score, total, passed) {
+export function saveQuizScore(examId, score, total, passed, details = {}) {
   const data = loadProgress();
   const exam = ensureExam(data, examId);
 
   exam.quizScores.push({
+    ...details,
     date: new Date().toISOString(),
     score,
     total,
     passed
   });
+  exam.quizScores.slice(0, -DETAILED_ATTEMPTS).forEach(attempt => { delete attempt.questions; });
 
   exam.lastActivity = new Date().toISOString();
   saveProgress(data);
   recordActivity();
 }
 
+/**
+ * Look up a single recorded attempt by its date
+ */
+export function getQuizAttempt(examId, date) {
+  const exam = getExamProgress(examId);
+  return exam.quizScores.find(q => q.date === date) || null;
+}
+
+/**
+ * Record the answered questions from a submitted quiz. Each entry is
+ * { id, choice, correct, flagged }; flags reflect the learner's latest
+ * opinion, so a question shown unflagged is cleared from the flag list.
+ */
+export function recordQuestionHistory(examId, entries) {
+  const data = loadProgress();
+  const exam = ensureExam(data, examId);
+  const date = new Date().toISOString();
+
+  if (!exam.questionHistory) exam.questionHistory = {};
+  const flagged = new Set(exam.flaggedQuestions || []);
+
+  entries.forEach(entry => {
+    if (entry.flagged) flagged.add(entry.id);
+    else flagged.delete(entry.id);
+
+    if (entry.choice === undefined || entry.choice === null) return;
+    const history = exam.questionHistory[entry.id] || [];
+    history.push({ date, choice: entry.choice, correct: entry.correct });
+    exam.questionHistory[entry.id] = history.slice(-HISTORY_LIMIT);
+  });
+
+  exam.flaggedQuestions = [...flagged];
+  saveProgress(data);
+}
+
+/**
+ * Group an exam's question ids by answer history: `missed` holds ids
+ * whose most recent answer was wrong, `seen` every id ever answered
+ */
+export function getQuestionHistory(examId) {
+  const exam = getExamProgress(examId);
+  const history = exam.questionHistory || {};
+  const missed = new Set();
+
+  for (const [id, answers] of Object.entries(history)) {
+    const last = answers[answers.length - 1];
+    if (last && !last.correct) missed.add(id);
+  }
+
+  return {
+    history,
+    seen: new Set(Object.keys(history)),
+    missed,
+    flagged: new Set(exam.flaggedQuestions || [])
+  };
+}
+
 /**
  * Get progress object for a single exam
  */
@@ -267,6 +356,25 @@ export function importProgress(json) {
           }
         }
 
+        // Merge questionHistory (per-question union by date)
+        if (examData.questionHistory && typeof examData.questionHistory === 'object') {
+          if (!existing.questionHistory) existing.questionHistory = {};
+          for (const [qid, answers] of Object.entries(examData.questionHistory)) {
+            if (!Array.isArray(answers)) continue;
+            const mine = existing.questionHistory[qid] || [];
+            const dates = new Set(mine.map(a => a.date));
+            const merged = [...mine, ...answers.filter(a => a.date && !dates.has(a.date))];
+            merged.sort((a, b) => a.date.localeCompare(b.date));
+            existing.questionHistory[qid] = merged.slice(-HISTORY_LIMIT);
+          }
+        }
+
+        // Merge flaggedQuestions (union)
+        if (Array.isArray(examData.flaggedQuestions)) {
+          const mergedFlags = new Set([...(existing.flaggedQuestions || []), ...examData.flaggedQuestions]);
+          existing.flaggedQuestions = [...mergedFlags];
+        }
+
         // Take higher flashcardsMastered
         if (typeof examData.flashcardsMastered === 'number') {
           existing.flashcardsMastered = Math.max(
@@ -389,6 +497,7 @@ export function initExamProgress() {
   const donutEl = $('#donut-chart');
   if (donutEl) {
     initDonutChart(donutEl, examId);
+    initExamReadiness(donutEl, examId);
   }
 }
 
@@ -499,6 +608,32 @@ async function initDonutChart(container, examId) {
   }
 }
 
+/**
+ * Show the readiness panel beside the donut. The donut keeps its role="img",
+ * so the panel goes next to it in a shared wrapper rather than inside.
+ */
+async function initExamReadiness(donutEl, examId) {
+  try {
+    const basePath = getBasePath();
+    const [exams, manifest] = await Promise.all([
+      fetchJSON(`${basePath}data/exams.json`),
+      fetchJSON(`${basePath}data/learn-manifest.json`)
+    ]);
+    const exam = Array.isArray(exams) ? exams.find(e => e.id === examId) : null;
+    if (!exam) return;
+
+    const { createReadinessCard } = await import('./readiness.js');
+    const readiness = await loadReadiness(exam, loadProgress(), manifest);
+
+    const wrapper = createEl('div', { class: 'exam-weights' });
+    donutEl.before(wrapper);
+    wrapper.appendChild(donutEl);
+    wrapper.appendChild(createReadinessCard(readiness));
+  } catch (err) {
+    console.error('Failed to initialize readiness estimate:', err);
+  }
+}
+
 function buildSegmentsFromCheckboxes(examId) {
   const progress = getExamProgress(examId);
   const checkboxes = $$('input[data-topic]');
@@ -642,6 +777,53 @@ export async function initProgressDashboard() {
   examSection.appendChild(examGrid);
   container.appendChild(examSection);
 
+  // ── Exam readiness ──
+  const activeExams = exams.filter(exam =>
+    progress.exams[exam.id]?.lastActivity || progress.exams[dataFileId(exam.id)]?.lastActivity
+  );
+  if (activeExams.length > 0) {
+    const [manifest, { createReadinessCard }] = await Promise.all([
+      fetchJSON(`${basePath}data/learn-manifest.json`),
+      import('./readiness.js')
+    ]);
+    const estimates = await Promise.all(activeExams.map(exam => loadReadiness(exam, progress, manifest)));
+    const readinessGrid = createEl('div', { class: 'progress-readiness__grid' });
+    activeExams.forEach((exam, i) => {
+      readinessGrid.appendChild(createReadinessCard(estimates[i], exam.series || exam.name));
+    });
+    container.appendChild(createEl('div', { class: 'progress-readiness' }, [
+      createEl('h2', { text: 'Exam Readiness' }),
+      createEl('p', {
+        class: 'progress-readiness__subtitle',
+        text: 'Estimated from recent quizzes, questions seen, lessons and flashcards'
+      }),
+      readinessGrid
+    ]));
+  }
+
+  // ── Recent quiz attempts ──
+  const attempts = collectAttempts(progress, exams);
+  if (attempts.length > 0) {
+    container.appendChild(buildAttemptList(attempts, container));
+  }
+
+  // ── Confidence calibration ──
+  const { computeCalibration, createCalibrationReport } = await import('./calibration.js');
+  const calibration = computeCalibration(collectRatedAnswers(progress));
+  if (calibration.rated > 0) {
+    const topicNames = new Map(exams.flatMap(exam =>
+      (exam.topics || []).map(topic => [topic.id, `${exam.series || exam.name}: ${topic.name}`])
+    ));
+    container.appendChild(createEl('div', { class: 'progress-calibration' }, [
+      createEl('h2', { text: 'Confidence Calibration' }),
+      createEl('p', {
+        class: 'progress-calibration__subtitle',
+        text: `Accuracy by how sure you were, across ${calibration.rated} rated answer${calibration.rated !== 1 ? 's' : ''}`
+      }),
+      createCalibrationReport(calibration, id => topicNames.get(id) || id)
+    ]));
+  }
+
   // ── Study streak heatmap ──
   const streakSection = createEl('div', { class: 'progress-streaks' }, [
     createEl('h2', { text: 'Study Streak' })
@@ -726,6 +908,250 @@ export async function initProgressDashboard() {
   container.appendChild(actions);
 }
 
+// ── Attempt history ───────────────────────────────────────────────
+
+function collectAttempts(progress, exams) {
+  const attempts = [];
+  for (const [examId, examData] of Object.entries(progress.exams)) {
+    const exam = exams.find(e => e.id === examId) || null;
+    (examData.quizScores || []).forEach(attempt => {
+      if (!attempt.date) return;
+      // Names of the other exams when this came from a mixed quiz
+      const mixedWith = (attempt.mixedWith || []).map(id => examLabel({ examId: id, exam: exams.find(e => e.id === id) }));
+      attempts.push({ examId, exam, attempt, mixedWith });
+    });
+  }
+  attempts.sort((a, b) => b.attempt.date.localeCompare(a.attempt.date));
+  return attempts.slice(0, RECENT_ATTEMPTS);
+}
+
+// Every answered, scored question that carries a confidence rating
+function collectRatedAnswers(progress) {
+  const entries = [];
+  for (const examData of Object.values(progress.exams)) {
+    (examData.quizScores || []).forEach(attempt => {
+      (attempt.questions || []).forEach(entry => {
+        if (entry.confidence && entry.choice !== null && !entry.unscored) entries.push(entry);
+      });
+    });
+  }
+  return entries;
+}
+
+function buildAttemptList(attempts, container) {
+  const section = createEl('div', { class: 'progress-attempts' }, [
+    createEl('h2', { text: 'Recent Quizzes' })
+  ]);
+  const list = createEl('ul', { class: 'progress-attempts__list' });
+
+  attempts.forEach(entry => {
+    const { attempt } = entry;
+    const percent = attempt.total > 0 ? Math.round((attempt.score / attempt.total) * 100) : 0;
+
+    const row = createEl('button', {
+      class: 'progress-attempt',
+      type: 'button',
+      'aria-label': `View ${examLabel(entry)} quiz from ${formatDate(attempt.date)}: ${percent}%`
+    }, [
+      createEl('span', { class: 'progress-attempt__exam', text: examLabel(entry) }),
+      createEl('span', {
+        class: 'progress-attempt__mode',
+        text: `${MODE_LABELS[attempt.mode] || 'Quiz'}${entry.mixedWith.length > 0 ? ' (mixed)' : ''}${attempt.paper ? ' (paper)' : ''}`
+      }),
+      createEl('span', {
+        class: `progress-attempt__score ${attempt.passed ? 'pass' : 'fail'}`,
+        text: `${percent}% (${attempt.score}/${attempt.total})`
+      }),
+      createEl('span', { class: 'progress-attempt__date', text: formatDate(attempt.date) })
+    ]);
+    row.addEventListener('click', () => renderAttemptDetail(container, entry));
+    list.appendChild(createEl('li', {}, [row]));
+  });
+
+  section.appendChild(list);
+  return section;
+}
+
+async function renderAttemptDetail(container, { examId, exam, attempt, mixedWith }) {
+  const basePath = getBasePath();
+  const percent = attempt.total > 0 ? Math.round((attempt.score / attempt.total) * 100) : 0;
+  const questions = Array.isArray(attempt.questions) ? attempt.questions : [];
+
+  // Question stems are looked up from the bank rather than stored per attempt
+  const bank = questions.length > 0
+    ? await fetchJSON(`${basePath}data/quizzes/${dataFileId(examId)}.json`)
+    : null;
+  const byId = new Map((Array.isArray(bank) ? bank : []).map(q => [q.id, q]));
+
+  container.innerHTML = '';
+
+  const backBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Back to Progress' });
+  backBtn.addEventListener('click', () => initProgressDashboard());
+
+  const title = createEl('h1', { text: `${examLabel({ examId, exam })} Quiz`, tabindex: '-1' });
+  const meta = [formatDate(attempt.date), MODE_LABELS[attempt.mode] || 'Quiz'];
+  // Attempts saved before timer profiles only record `timed`
+  if (TIMER_LABELS[attempt.timer]) meta.push(TIMER_LABELS[attempt.timer]);
+  else if (attempt.timed && !attempt.timer) meta.push('Timed');
+  if (Array.isArray(attempt.pauses) && attempt.pauses.length > 0) {
+    const paused = attempt.pauses.reduce((sum, pause) => sum + pause.seconds, 0);
+    meta.push(`Paused ${attempt.pauses.length}x (${formatDuration(paused)})`);
+  }
+  if (mixedWith.length > 0) meta.push(`Mixed with ${mixedWith.join(', ')}`);
+  if (attempt.paper) meta.push('Paper answer sheet');
+  if (attempt.drillSeconds) meta.push(`${attempt.drillSeconds}s per question`);
+
+  const detail = createEl('div', { class: 'attempt-detail' }, [
+    backBtn,
+    createEl('div', { class: 'progress-dashboard__header' }, [
+      title,
+      createEl('p', { class: 'progress-dashboard__subtitle', text: meta.join(' \u00b7 ') })
+    ])
+  ]);
+
+  // Summary
+  const scored = questions.filter(q => !q.unscored);
+  const statItems = [
+    { label: attempt.passed ? 'Passed' : 'Not Passed', value: `${percent}%` },
+    { label: 'Correct', value: `${attempt.score}/${attempt.total}` },
+    { label: 'Time', value: typeof attempt.duration === 'number' ? formatDuration(attempt.duration) : '--' },
+    {
+      label: 'Per Question',
+      value: typeof attempt.duration === 'number' && questions.length > 0
+        ? formatDuration(Math.round(attempt.duration / questions.length))
+        : '--'
+    }
+  ];
+  const statsGrid = createEl('div', { class: 'progress-stats' });
+  statItems.forEach(stat => {
+    statsGrid.appendChild(createEl('div', { class: 'stat-card' }, [
+      createEl('div', { class: 'stat-card__value', text: stat.value }),
+      createEl('div', { class: 'stat-card__label', text: stat.label })
+    ]));
+  });
+  detail.appendChild(statsGrid);
+
+  // Per-topic results
+  const topics = Object.entries(attempt.topics || {});
+  if (topics.length > 0) {
+    const topicNames = new Map(((exam && exam.topics) || []).map(t => [t.id, t.name]));
+    const rows = topics.map(([topicId, result]) => {
+      const topicPercent = result.total > 0 ? Math.round((result.correct / result.total) * 100) : 0;
+      const name = topicNames.get(topicId)
+        || scored.map(q => byId.get(q.id)).find(q => q && q.topic === topicId)?.topicName
+        || topicId;
+      return createEl('tr', {}, [
+        createEl('td', { text: name }),
+        createEl('td', { text: `${result.correct}/${result.total}` }),
+        createEl('td', { text: `${topicPercent}%` })
+      ]);
+    });
+    detail.appendChild(buildAttemptTable('Topic Breakdown', ['Topic', 'Correct', 'Score'], rows));
+  }
+
+  // Per-question results
+  if (questions.length > 0) {
+    const rows = questions.map((entry, i) => {
+      const q = byId.get(entry.id);
+      // Templated stems are filled in with the numbers that attempt was given
+      const stem = !q ? entry.id
+        : isTemplate(q) && entry.params ? instantiateTemplate(q, Math.random, entry.params).question
+          : q.question;
+      const answered = entry.choice !== null && entry.choice !== undefined;
+      const result = !answered ? 'Unanswered' : entry.correct ? 'Correct' : 'Incorrect';
+      const notes = [
+        entry.confidence ? `${entry.confidence[0].toUpperCase()}${entry.confidence.slice(1)}` : '',
+        entry.flagged ? 'Flagged' : '',
+        entry.unscored ? 'Unscored' : '',
+        entry.timedOut ? 'Timed out' : ''
+      ].filter(Boolean).join(', ');
+      return createEl('tr', { class: `attempt-detail__question ${result.toLowerCase()}` }, [
+        createEl('td', { text: String(i + 1) }),
+        createEl('td', { class: 'attempt-detail__stem', text: stem.length > 90 ? `${stem.slice(0, 87)}...` : stem, title: stem }),
+        createEl('td', { text: result }),
+        createEl('td', { text: typeof entry.seconds === 'number' ? formatDuration(entry.seconds) : '--' }),
+        createEl('td', { text: notes })
+      ]);
+    });
+    detail.appendChild(buildAttemptTable('Questions', ['#', 'Question', 'Result', 'Time', 'Notes'], rows));
+
+    const reviewLink = createEl('a', {
+      class: 'btn btn--primary',
+      href: `${basePath}quiz/?exam=${encodeURIComponent(examId)}&attempt=${encodeURIComponent(attempt.date)}`,
+      text: 'Review Answers'
+    });
+    detail.appendChild(createEl('div', { class: 'progress-actions' }, [reviewLink]));
+  } else {
+    detail.appendChild(createEl('p', {
+      class: 'attempt-detail__note',
+      text: 'Individual answers were not recorded for this quiz.'
+    }));
+  }
+
+  container.appendChild(detail);
+  title.focus();
+}
+
+function buildAttemptTable(heading, columns, rows) {
+  const table = createEl('table', { class: 'attempt-detail__table' }, [
+    createEl('thead', {}, [
+      createEl('tr', {}, columns.map(col => createEl('th', { scope: 'col', text: col })))
+    ]),
+    createEl('tbody', {}, rows)
+  ]);
+  return createEl('section', { class: 'attempt-detail__section' }, [
+    createEl('h2', { text: heading }),
+    createEl('div', { class: 'attempt-detail__scroll' }, [table])
+  ]);
+}
+
+function examLabel({ examId, exam }) {
+  return exam ? (exam.series || exam.name) : examId;
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+  if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+  return `${s}s`;
+}
+
+// ── Readiness ─────────────────────────────────────────────────────
+
+/**
+ * Gather the readiness inputs for one exam: recent attempts, how much of
+ * the question bank and flashcard deck has been studied, and lessons read.
+ */
+async function loadReadiness(exam, progress, manifest) {
+  const { computeReadiness } = await import('./readiness.js');
+  const { getCardBoxes } = await import('./srs.js');
+  const dataId = dataFileId(exam.id);
+  const basePath = getBasePath();
+  const [bank, deck] = await Promise.all([
+    fetchJSON(`${basePath}data/quizzes/${dataId}.json`),
+    fetchJSON(`${basePath}data/flashcards/${dataId}.json`)
+  ]);
+
+  const examProgress = progress.exams[exam.id] || getDefaultExamProgress();
+  const bankIds = new Set(Array.isArray(bank) ? bank.map(q => q.id) : []);
+  const cardIds = Array.isArray(deck) ? deck.map(card => card.id) : [];
+  // Manifest ids are dashed ("series-7"); lesson pages store chapters under the data id
+  const lessons = (manifest?.exams || []).find(e => e.id.replace(/-/g, '') === dataId.replace(/-/g, ''));
+
+  return computeReadiness({
+    exam,
+    attempts: examProgress.quizScores,
+    seen: Object.keys(examProgress.questionHistory || {}).filter(id => bankIds.has(id)).length,
+    bankSize: bankIds.size,
+    chaptersDone: (progress.exams[dataId]?.chaptersCompleted || []).length,
+    chapterCount: lessons ? lessons.chapters.length : 0,
+    boxes: getCardBoxes(cardIds),
+    deckSize: cardIds.length
+  });
+}
+
 // ── Dashboard helpers ─────────────────────────────────────────────
 
 function computeOverallStats(progress, exams) {
@@ -738,6 +1164,8 @@ function computeOverallStats(progress, exams) {
     quizzesTaken += examData.quizScores.length;
 
     for (const quiz of examData.quizScores) {
+      // Tutor attempts reveal answers as you go, so they don't reflect readiness
+      if (quiz.mode === 'tutor') continue;
       const pct = quiz.total > 0 ? Math.round((quiz.score / quiz.total) * 100) : 0;
       if (bestScore === null || pct > bestScore) {
         bestScore = pct;
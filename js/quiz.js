@@ -1,24 +1,97 @@
 // Quiz engine module
-import { $, $$, fetchJSON, shuffleArray, createEl, getBasePath, showToast, escapeHTML } from './utils.js';
+import { $, $$, fetchJSON, shuffleArray, seededRandom, createEl, getBasePath, showToast, escapeHTML, dataFileId } from './utils.js';
 import { createTimerRing, createBarChart } from './charts.js';
+import { CONFIDENCE_LEVELS, computeCalibration, createCalibrationReport } from './calibration.js';
+import { isTemplate, instantiateTemplate } from './calculations.js';
 
 // ── State ────────────────────────────────────────────────────────
 
+const SESSION_KEY = 'lf_quiz_session';
+const CHECKPOINT_SECONDS = 15; // clock ticks between session saves
+const QUIZ_MODES = ['practice', 'simulation', 'adaptive', 'missed', 'unseen', 'flagged', 'tutor', 'drill'];
+
+// Review modes draw only from questions matching the learner's history
+const REVIEW_POOLS = {
+  missed: {
+    pick: (history, q) => history.missed.has(q.id),
+    empty: 'You have not missed any questions on this exam yet. Nice work!'
+  },
+  unseen: {
+    pick: (history, q) => !history.seen.has(q.id),
+    empty: 'You have answered every question in this bank at least once.'
+  },
+  flagged: {
+    pick: (history, q) => history.flagged.has(q.id),
+    empty: 'You have no flagged questions for this exam. Flag questions during a quiz to revisit them here.'
+  }
+};
+const ADAPTIVE_WINDOW = 10; // most recent attempts used for rolling topic accuracy
+// Modes whose draw depends only on the bank and the seed, so a shared
+// link reproduces the same form for anyone who opens it
+const SHAREABLE_MODES = ['practice', 'simulation', 'tutor'];
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// Clock options. Countdown profiles have `seconds`; exam pace and the
+// extended-time accommodations scale the exam's own time limit.
+const TIMER_PROFILES = {
+  untimed: {},
+  standard: { seconds: () => Math.round(state.count * 1.5 * 60) }, // 1.5 min per question
+  exam: { seconds: () => examPaceSeconds(1) },
+  'extended-150': { seconds: () => examPaceSeconds(1.5) },
+  'extended-200': { seconds: () => examPaceSeconds(2) },
+  stopwatch: { stopwatch: true }
+};
+const SIMULATION_PROFILES = ['exam', 'extended-150', 'extended-200'];
+const TIME_WARNINGS = [15, 5, 1]; // minutes left, announced as the clock passes them
+// Speed drill countdowns: seconds per question, or the exam's own pace
+const DRILL_PACES = ['30', '45', '60', '90', 'exam'];
+const DEFAULT_DRILL_PACE = '45';
+const LETTERS = ['A', 'B', 'C', 'D'];
+
 let state = {
-  examId: null,
+  examId: null,      // primary exam, always examIds[0]
+  examIds: [],       // every exam in the session; more than one when mixed
+  mix: [],           // relative share of questions for each of examIds
   examMeta: null,
+  examMetas: {},     // exams.json entries keyed by id
   questions: [],
   answers: {},       // { questionIndex: selectedChoiceIndex }
   flagged: new Set(),
+  timeSpent: {},     // { questionIndex: milliseconds on screen }
+  confidence: {},    // { questionIndex: CONFIDENCE_LEVELS id }
+  rateConfidence: false,
+  eliminated: {},    // { questionIndex: [struck-out choice indices] }
+  highlights: {},    // { questionIndex: [[start, end], ...] } marked stem ranges
+  calculator: { open: false, x: null, y: null, values: {} }, // values: { questionIndex: display }
+  questionShownAt: 0,
   currentIndex: 0,
   count: 25,
-  timed: false,
+  mode: 'practice',  // one of QUIZ_MODES
+  topics: [],        // topic ids to draw from; empty means the whole exam
+  unscored: new Set(), // question ids drawn as unscored pretest items
+  shuffleChoices: false,
+  seed: null,        // set for shareable forms; see SHAREABLE_MODES
+  random: Math.random,
+  timerProfile: 'untimed', // a TIMER_PROFILES key
+  timed: false,      // counting down; set from timerProfile
   totalSeconds: 0,
   secondsLeft: 0,
+  elapsedSeconds: 0, // clock time, not counting pauses
+  paused: false,
+  pausedAt: 0,       // Date.now() when the current pause began
+  pauses: [],        // [{ at: elapsedSeconds, seconds }], saved with the attempt
   timerInterval: null,
   timerRing: null,
+  drillPace: DEFAULT_DRILL_PACE, // a DRILL_PACES entry
+  drillSeconds: 0,   // per-question limit in drill mode
+  drillLeft: {},     // { questionIndex: seconds left on its countdown }
+  timedOut: new Set(), // drill questions whose countdown ran out
+  drillInterval: null,
+  drillRing: null,
   submitted: false,
-  reviewMode: false
+  recorded: false,   // results already saved to progress for this attempt
+  reviewMode: false,
+  paper: false,      // answers typed in from a printed answer sheet
+  walkthrough: null  // { kind: 'flagged' | 'unanswered', indices } while stepping from the review screen
 };
 
 // ── Public entry point ───────────────────────────────────────────
@@ -27,23 +100,390 @@ export function initQuiz() {
   const root = $('#quiz-root');
   if (!root) return;
 
+  setupKeyboard(root);
+  setupCheckpoints();
+
   const params = new URLSearchParams(window.location.search);
   const examParam = params.get('exam');
+  const mixParam = params.get('mix');
   const countParam = params.get('count');
   const timedParam = params.get('timed');
-
-  if (examParam) {
-    // Direct-launch via URL params
-    state.examId = examParam;
-    state.count = countParam === 'all' ? Infinity : parseInt(countParam, 10) || 25;
-    state.timed = timedParam === 'true';
-    startQuiz(root);
+  const timerParam = params.get('timer');
+  const modeParam = params.get('mode');
+  const topicsParam = params.get('topics');
+  const shuffleParam = params.get('shuffle');
+  const confidenceParam = params.get('confidence');
+  const attemptParam = params.get('attempt');
+  const seedParam = params.get('seed');
+  const printParam = params.get('print');
+  const gradeParam = params.get('grade');
+  const drillParam = params.get('drill');
+
+  const saved = loadSession();
+
+  if (gradeParam === 'true') {
+    // A paper test is rebuilt from its form code alone
+    renderGradeForm(root, params.get('form') || '');
+  } else if (examParam && attemptParam) {
+    // Re-open a recorded attempt from the progress dashboard
+    reopenAttempt(root, examParam.split(',')[0], attemptParam);
+  } else if (examParam) {
+    const launch = () => {
+      // Direct-launch via URL params
+      const examIds = [...new Set(examParam.split(',').filter(Boolean))];
+      setExams(examIds, parseMix(mixParam, examIds.length));
+      state.count = countParam === 'all' ? Infinity : parseInt(countParam, 10) || 25;
+      // `timed=true` is the pre-profile form of the standard clock
+      state.timerProfile = TIMER_PROFILES[timerParam] ? timerParam : timedParam === 'true' ? 'standard' : 'untimed';
+      state.shuffleChoices = shuffleParam === 'true';
+      state.rateConfidence = confidenceParam === 'true';
+      state.mode = QUIZ_MODES.includes(modeParam) ? modeParam : 'practice';
+      state.drillPace = DRILL_PACES.includes(drillParam) ? drillParam : DEFAULT_DRILL_PACE;
+      state.topics = topicsParam ? topicsParam.split(',').filter(Boolean) : [];
+      state.seed = seedParam && SEED_PATTERN.test(seedParam) ? seedParam : null;
+      if (printParam === 'true') printTest(root);
+      else startQuiz(root);
+    };
+    // Offer to pick up an interrupted session before replacing it;
+    // printing a paper test leaves the session alone
+    if (saved && printParam !== 'true') {
+      root.innerHTML = '';
+      renderResumePrompt(root, saved, launch);
+    } else {
+      launch();
+    }
   } else {
     // Show config form — populate exam dropdown
     initConfigForm(root);
+    if (saved) renderResumePrompt(root, saved, () => {});
+  }
+}
+
+// ── Exam data ────────────────────────────────────────────────────
+
+function setExams(examIds, mix) {
+  state.examIds = examIds;
+  state.examId = examIds[0];
+  state.mix = mix && mix.length === examIds.length ? mix : examIds.map(() => 1);
+}
+
+// `mix=2,1,1` weights the exams in `exam=` order; bad entries count as 1
+function parseMix(param, length) {
+  const weights = (param || '').split(',').map(Number);
+  if (weights.length !== length) return null;
+  return weights.map(w => (Number.isFinite(w) && w > 0 ? w : 1));
+}
+
+function isMixed() {
+  return state.examIds.length > 1;
+}
+
+function examOf(q) {
+  return q.exam || state.examId;
+}
+
+function examLabel(examId) {
+  const meta = state.examMetas[examId];
+  return meta ? meta.series : examId;
+}
+
+/**
+ * Load exam metadata and the question banks for `examIds`. Questions in
+ * a mixed session are tagged with `exam` so they can be traced back.
+ */
+async function loadExamData(examIds) {
+  const basePath = getBasePath();
+
+  const exams = await fetchJSON(`${basePath}data/exams.json`);
+  state.examMetas = {};
+  if (exams && Array.isArray(exams)) {
+    examIds.forEach(id => {
+      const meta = exams.find(e => e.id === id);
+      if (meta) state.examMetas[id] = meta;
+    });
+  }
+  state.examMeta = state.examMetas[examIds[0]] || null;
+
+  const banks = await Promise.all(examIds.map(id => fetchJSON(`${basePath}data/quizzes/${dataFileId(id)}.json`)));
+  if (examIds.length === 1) return Array.isArray(banks[0]) ? banks[0] : [];
+  return banks.flatMap((bank, b) => (Array.isArray(bank) ? bank.map(q => ({ ...q, exam: examIds[b] })) : []));
+}
+
+// ── Session checkpointing ────────────────────────────────────────
+
+function loadSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    if (!data || !data.examId || !Array.isArray(data.questionIds) || data.questionIds.length === 0) {
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
   }
 }
 
+// Answers and flags save as they change; the clock only checkpoints every
+// CHECKPOINT_SECONDS, so leaving the page saves the time left straight away
+function setupCheckpoints() {
+  const checkpoint = () => {
+    if (state.timerInterval) saveSession();
+  };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') checkpoint();
+  });
+  window.addEventListener('pagehide', checkpoint);
+}
+
+function saveSession() {
+  if (state.submitted || state.questions.length === 0) return;
+  logQuestionTime();
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+      examId: state.examId,
+      examIds: state.examIds,
+      mix: state.mix,
+      examLabel: state.examIds.map(examLabel).join(' + '),
+      mode: state.mode,
+      seed: state.seed,
+      topics: state.topics,
+      questionIds: state.questions.map(q => q.id),
+      unscored: [...state.unscored],
+      answers: state.answers,
+      flagged: [...state.flagged],
+      timeSpent: state.timeSpent,
+      confidence: state.confidence,
+      rateConfidence: state.rateConfidence,
+      eliminated: state.eliminated,
+      highlights: state.highlights,
+      calculator: state.calculator,
+      currentIndex: state.currentIndex,
+      choiceOrders: Object.fromEntries(
+        state.questions.filter(q => q.choiceOrder).map(q => [q.id, q.choiceOrder])
+      ),
+      params: Object.fromEntries(
+        state.questions.filter(q => q.params).map(q => [q.id, q.params])
+      ),
+      timerProfile: state.timerProfile,
+      timed: state.timed,
+      totalSeconds: state.totalSeconds,
+      secondsLeft: state.secondsLeft,
+      elapsedSeconds: state.elapsedSeconds,
+      paused: state.paused,
+      pausedAt: state.pausedAt,
+      pauses: state.pauses,
+      drillSeconds: state.drillSeconds,
+      drillLeft: state.drillLeft,
+      timedOut: [...state.timedOut],
+      savedAt: new Date().toISOString()
+    }));
+  } catch { /* quota exceeded - silently fail */ }
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+function renderResumePrompt(root, saved, onDiscard) {
+  const answered = Object.keys(saved.answers || {}).length;
+  const total = saved.questionIds.length;
+
+  const prompt = createEl('div', { class: 'quiz-resume', role: 'region', 'aria-label': 'Unfinished quiz' });
+  prompt.appendChild(createEl('p', {
+    class: 'quiz-resume__text',
+    text: `Resume your ${saved.examLabel || saved.examId} quiz (${answered}/${total} answered)`
+  }));
+
+  const actions = createEl('div', { class: 'quiz-resume__actions' });
+  const resumeBtn = createEl('button', { class: 'btn btn--primary', type: 'button', text: 'Resume' });
+  const discardBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Discard' });
+
+  resumeBtn.addEventListener('click', () => {
+    prompt.remove();
+    resumeQuiz(root, saved);
+  });
+  discardBtn.addEventListener('click', () => {
+    clearSession();
+    prompt.remove();
+    onDiscard();
+  });
+
+  actions.appendChild(resumeBtn);
+  actions.appendChild(discardBtn);
+  prompt.appendChild(actions);
+  root.prepend(prompt);
+  resumeBtn.focus();
+}
+
+async function resumeQuiz(root, saved) {
+  setExams(Array.isArray(saved.examIds) ? saved.examIds : [saved.examId], saved.mix);
+  const bank = await loadExamData(state.examIds);
+  const byId = new Map(bank.map(q => [q.id, q]));
+
+  // Rebuild the question list in its original order, remapping answer and
+  // flag indices in case a question has since been removed from the bank
+  const questions = [];
+  const answers = {};
+  const flagged = new Set();
+  const timeSpent = {};
+  const confidence = {};
+  const eliminated = {};
+  const highlights = {};
+  const calcValues = {};
+  const drillLeft = {};
+  const timedOut = new Set();
+  const savedFlags = new Set(saved.flagged || []);
+  const savedTimeouts = new Set(saved.timedOut || []);
+  const savedCalc = saved.calculator || {};
+
+  const choiceOrders = saved.choiceOrders || {};
+  const params = saved.params || {};
+
+  saved.questionIds.forEach((id, oldIndex) => {
+    if (!byId.has(id)) return;
+    const q = withNumbers(byId.get(id), params[id]);
+    const newIndex = questions.length;
+    const order = choiceOrders[id];
+    questions.push(order && order.length === q.choices.length ? shuffleChoices(q, order) : q);
+    const answer = saved.answers ? saved.answers[oldIndex] : undefined;
+    if (answer !== undefined) answers[newIndex] = answer;
+    if (savedFlags.has(oldIndex)) flagged.add(newIndex);
+    if (saved.timeSpent && saved.timeSpent[oldIndex]) timeSpent[newIndex] = saved.timeSpent[oldIndex];
+    if (saved.confidence && saved.confidence[oldIndex]) confidence[newIndex] = saved.confidence[oldIndex];
+    if (saved.eliminated && saved.eliminated[oldIndex]) eliminated[newIndex] = saved.eliminated[oldIndex];
+    if (saved.highlights && saved.highlights[oldIndex]) highlights[newIndex] = saved.highlights[oldIndex];
+    if (savedCalc.values && savedCalc.values[oldIndex]) calcValues[newIndex] = savedCalc.values[oldIndex];
+    if (saved.drillLeft && saved.drillLeft[oldIndex] !== undefined) drillLeft[newIndex] = saved.drillLeft[oldIndex];
+    if (savedTimeouts.has(oldIndex)) timedOut.add(newIndex);
+  });
+
+  if (questions.length === 0) {
+    clearSession();
+    showToast('That quiz could not be restored', 'error');
+    initConfigForm(root);
+    return;
+  }
+
+  state.questions = questions;
+  state.count = questions.length;
+  state.answers = answers;
+  state.flagged = flagged;
+  state.timeSpent = timeSpent;
+  state.confidence = confidence;
+  state.rateConfidence = !!saved.rateConfidence;
+  state.eliminated = eliminated;
+  state.highlights = highlights;
+  state.calculator = { open: !!savedCalc.open, x: savedCalc.x ?? null, y: savedCalc.y ?? null, values: calcValues };
+  state.currentIndex = Math.min(saved.currentIndex || 0, questions.length - 1);
+  state.submitted = false;
+  state.recorded = false;
+  state.reviewMode = false;
+  state.walkthrough = null;
+  state.mode = saved.mode || 'practice';
+  state.seed = saved.seed || null;
+  state.topics = saved.topics || [];
+  state.unscored = new Set(saved.unscored || []);
+  state.shuffleChoices = Object.keys(choiceOrders).length > 0;
+  state.timerProfile = TIMER_PROFILES[saved.timerProfile] ? saved.timerProfile : saved.timed ? 'standard' : 'untimed';
+  state.timed = !!saved.timed;
+  state.totalSeconds = saved.totalSeconds || 0;
+  state.secondsLeft = saved.secondsLeft || 0;
+  state.elapsedSeconds = saved.elapsedSeconds || 0;
+  state.paused = !!saved.paused;
+  state.pausedAt = saved.pausedAt || 0;
+  state.pauses = saved.pauses || [];
+  state.drillSeconds = saved.drillSeconds || 0;
+  state.drillLeft = drillLeft;
+  state.timedOut = timedOut;
+
+  renderQuiz(root);
+}
+
+// ── Attempt review ───────────────────────────────────────────────
+
+/**
+ * Rebuild a recorded attempt (see saveQuizScore) in review mode with the
+ * question order, choice order, answers and flags it was submitted with
+ */
+async function reopenAttempt(root, examId, date) {
+  const { getQuizAttempt } = await import('./progress.js');
+  const attempt = getQuizAttempt(examId, date);
+
+  setExams([examId]);
+  const bank = await loadExamData(state.examIds);
+  const byId = new Map(bank.map(q => [q.id, q]));
+
+  const questions = [];
+  const answers = {};
+  const flagged = new Set();
+  const timeSpent = {};
+  const confidence = {};
+  const unscored = new Set();
+  const timedOut = new Set();
+  const drillLeft = {};
+  const drillSeconds = (attempt && attempt.drillSeconds) || 0;
+
+  ((attempt && attempt.questions) || []).forEach(entry => {
+    if (!byId.has(entry.id)) return;
+    const q = withNumbers(byId.get(entry.id), entry.params);
+    const index = questions.length;
+    const order = Array.isArray(entry.order) && entry.order.length === q.choices.length ? entry.order : null;
+    questions.push(order ? shuffleChoices(q, order) : q);
+    if (entry.choice !== null && entry.choice !== undefined) {
+      answers[index] = order ? order.indexOf(entry.choice) : entry.choice;
+    }
+    if (entry.flagged) flagged.add(index);
+    if (entry.unscored) unscored.add(q.id);
+    if (entry.seconds) timeSpent[index] = entry.seconds * 1000;
+    if (entry.confidence) confidence[index] = entry.confidence;
+    if (entry.timedOut) timedOut.add(index);
+    // Attempts saved before drill clocks were recorded fall back to time on screen
+    if (drillSeconds) {
+      const used = entry.timedOut ? drillSeconds : entry.drillUsed ?? entry.seconds ?? 0;
+      drillLeft[index] = Math.max(0, drillSeconds - used);
+    }
+  });
+
+  if (questions.length === 0) {
+    showToast('That attempt could not be re-opened', 'error');
+    initConfigForm(root);
+    return;
+  }
+
+  state.questions = questions;
+  state.count = questions.length;
+  state.answers = answers;
+  state.flagged = flagged;
+  state.timeSpent = timeSpent;
+  state.confidence = confidence;
+  state.rateConfidence = Object.keys(confidence).length > 0;
+  state.eliminated = {};
+  state.highlights = {};
+  state.calculator.values = {};
+  state.unscored = unscored;
+  state.mode = attempt.mode || 'practice';
+  // Only part of a mixed session was recorded here, so its seed no longer applies
+  state.seed = attempt.mixedWith ? null : attempt.seed || null;
+  state.topics = attempt.topicFilter || [];
+  state.shuffleChoices = questions.some(q => q.choiceOrder);
+  state.timerProfile = 'untimed';
+  state.timed = false;
+  state.paused = false;
+  state.pauses = [];
+  state.drillSeconds = drillSeconds;
+  state.drillLeft = drillLeft;
+  state.timedOut = timedOut;
+  state.currentIndex = 0;
+  state.submitted = true;
+  state.recorded = true;
+  state.reviewMode = true;
+  state.walkthrough = null;
+
+  renderQuiz(root);
+}
+
 // ── Config form ──────────────────────────────────────────────────
 
 async function initConfigForm(root) {
@@ -68,61 +508,294 @@ async function initConfigForm(root) {
   const form = $('#quiz-config-form');
   if (!form) return;
 
-  form.addEventListener('submit', e => {
-    e.preventDefault();
+  const modeSelect = $('#quiz-mode-select');
+  const refreshMode = () => {
+    const mode = modeSelect ? modeSelect.value : 'practice';
+    syncModeFields(form, mode);
+    if (mode === 'adaptive') {
+      const exam = exams.find(ex => ex.id === select.value);
+      renderAdaptivePlan(exam && restrictToTopics(exam, getCheckedTopics(form)), form);
+    }
+  };
+  if (modeSelect) modeSelect.addEventListener('change', refreshMode);
+  select.addEventListener('change', () => {
+    renderTopicPicker(exams.find(ex => ex.id === select.value), form, refreshMode);
+    renderMixPicker(exams, select.value, form, refreshMode);
+    refreshMode();
+  });
+  $$('input[name="qcount"]', form).forEach(radio => radio.addEventListener('change', refreshMode));
+  refreshMode();
 
+  // Copy the form into state and the URL; false when no exam is picked
+  const applyConfig = () => {
     const examId = select.value;
     if (!examId) {
       showToast('Please select an exam', 'error');
-      return;
+      return false;
     }
 
     const countRadio = form.querySelector('input[name="qcount"]:checked');
     const countVal = countRadio ? countRadio.value : '25';
-    const timedToggle = $('#quiz-timed-toggle');
-
-    state.examId = examId;
+    const timerSelect = $('#quiz-timer-select');
+
+    const extras = getMixedExams(form);
+    const primaryWeight = $('#quiz-mix-primary-weight', form);
+    setExams(
+      [examId, ...extras.map(x => x.id)],
+      [readMixWeight(primaryWeight), ...extras.map(x => x.weight)]
+    );
     state.count = countVal === 'all' ? Infinity : parseInt(countVal, 10);
-    state.timed = timedToggle ? timedToggle.checked : false;
+    state.timerProfile = timerSelect && TIMER_PROFILES[timerSelect.value] ? timerSelect.value : 'untimed';
+    const shuffleToggle = $('#quiz-shuffle-toggle');
+    state.shuffleChoices = shuffleToggle ? shuffleToggle.checked : false;
+    const confidenceToggle = $('#quiz-confidence-toggle');
+    state.rateConfidence = confidenceToggle ? confidenceToggle.checked : false;
+    state.mode = modeSelect ? modeSelect.value : 'practice';
+    const drillSelect = $('#quiz-drill-select', form);
+    state.drillPace = drillSelect && DRILL_PACES.includes(drillSelect.value) ? drillSelect.value : DEFAULT_DRILL_PACE;
+    state.topics = state.mode === 'simulation' || isMixed() ? [] : getCheckedTopics(form);
+    state.seed = null;
 
     // Update URL without reload
     const url = new URL(window.location);
-    url.searchParams.set('exam', examId);
+    url.searchParams.set('exam', state.examIds.join(','));
+    if (state.mix.some(w => w !== state.mix[0])) url.searchParams.set('mix', state.mix.join(','));
+    else url.searchParams.delete('mix');
     url.searchParams.set('count', countVal);
-    url.searchParams.set('timed', state.timed);
+    url.searchParams.delete('timed');
+    if (state.timerProfile === 'untimed') url.searchParams.delete('timer');
+    else url.searchParams.set('timer', state.timerProfile);
+    if (state.shuffleChoices) url.searchParams.set('shuffle', 'true');
+    else url.searchParams.delete('shuffle');
+    if (state.rateConfidence) url.searchParams.set('confidence', 'true');
+    else url.searchParams.delete('confidence');
+    if (state.mode === 'practice') url.searchParams.delete('mode');
+    else url.searchParams.set('mode', state.mode);
+    if (state.mode === 'drill') url.searchParams.set('drill', state.drillPace);
+    else url.searchParams.delete('drill');
+    if (state.topics.length > 0) url.searchParams.set('topics', state.topics.join(','));
+    else url.searchParams.delete('topics');
+    url.searchParams.delete('print');
+    url.searchParams.delete('grade');
+    url.searchParams.delete('seed');
     window.history.replaceState({}, '', url);
+    return true;
+  };
 
-    startQuiz(root);
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    if (applyConfig()) startQuiz(root);
   });
+
+  const printBtn = $('#quiz-print-btn', form);
+  if (printBtn) {
+    printBtn.addEventListener('click', () => {
+      if (applyConfig()) printTest(root);
+    });
+  }
+  const gradeBtn = $('#quiz-grade-btn', form);
+  if (gradeBtn) {
+    gradeBtn.addEventListener('click', () => renderGradeForm(root));
+  }
 }
 
-// ── Start quiz ───────────────────────────────────────────────────
+// Simulation fixes length and timing from the blueprint, so the count
+// control does not apply and the timer only offers exam-clock profiles
+function syncModeFields(form, mode) {
+  const simulating = mode === 'simulation';
+  $$('[data-practice-only]', form).forEach(group => {
+    group.hidden = simulating;
+    $$('input', group).forEach(input => { input.disabled = simulating; });
+  });
+  // Pickers stay hidden until they have options. Topic ids belong to one
+  // exam's outline, so the topic picker also hides while mixing exams.
+  const mixing = getMixedExams(form).length > 0;
+  $$('.quiz-topic-picker', form).forEach(picker => {
+    if (picker.children.length === 0 || (mixing && picker.id === 'quiz-topic-picker')) {
+      picker.closest('.form-group').hidden = true;
+    }
+  });
+  $$('[data-mode-hint]', form).forEach(hint => {
+    hint.hidden = hint.dataset.modeHint !== mode;
+  });
+  $$('[data-mode-field]', form).forEach(group => {
+    group.hidden = group.dataset.modeField !== mode;
+  });
+  const plan = $('#quiz-adaptive-plan', form);
+  if (plan && mode !== 'adaptive') plan.hidden = true;
+  const timerSelect = $('#quiz-timer-select', form);
+  if (timerSelect) {
+    $$('option', timerSelect).forEach(option => {
+      option.disabled = simulating && !SIMULATION_PROFILES.includes(option.value);
+    });
+    if (simulating && !SIMULATION_PROFILES.includes(timerSelect.value)) timerSelect.value = 'exam';
+  }
+}
 
-async function startQuiz(root) {
-  // Show skeleton loading state
-  root.innerHTML = `
-    <div class="quiz-config" aria-busy="true" aria-label="Loading quiz">
-      <div class="skeleton skeleton--title" style="margin-bottom:var(--space-lg)"></div>
-      <div class="skeleton skeleton--text"></div>
-      <div class="skeleton skeleton--text-short" style="margin-bottom:var(--space-xl)"></div>
-      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
-      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
-      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
-      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg)"></div>
-    </div>
-  `;
+// Checkbox list of the exam's outline sections with their weights.
+// Leaving every box unchecked draws from the whole exam.
+function renderTopicPicker(exam, form, onChange) {
+  const picker = $('#quiz-topic-picker', form);
+  if (!picker) return;
+  const group = picker.closest('.form-group') || picker;
 
-  const basePath = getBasePath();
+  picker.innerHTML = '';
+  if (!exam || !Array.isArray(exam.topics) || exam.topics.length === 0) {
+    group.hidden = true;
+    return;
+  }
 
-  // Load exam metadata
-  const exams = await fetchJSON(`${basePath}data/exams.json`);
-  if (exams && Array.isArray(exams)) {
-    state.examMeta = exams.find(e => e.id === state.examId) || null;
+  exam.topics.forEach(topic => {
+    const input = createEl('input', { type: 'checkbox', name: 'qtopic', value: topic.id });
+    input.addEventListener('change', onChange);
+    picker.appendChild(createEl('label', { class: 'checkbox quiz-topic-option' }, [
+      input,
+      createEl('span', { text: topic.name }),
+      createEl('span', { class: 'quiz-topic-option__weight', text: `${topic.weight}%` })
+    ]));
+  });
+
+  // Simulation hides the picker; otherwise show it now there is something to pick
+  const modeSelect = $('#quiz-mode-select', form);
+  group.hidden = !!modeSelect && modeSelect.value === 'simulation';
+}
+
+// Weighted checklist of the other exams to interleave with the selected one
+function renderMixPicker(exams, primaryId, form, onChange) {
+  const picker = $('#quiz-mix-picker', form);
+  if (!picker) return;
+  const group = picker.closest('.form-group') || picker;
+  const primary = exams.find(ex => ex.id === primaryId);
+
+  picker.innerHTML = '';
+  if (!primary) {
+    group.hidden = true;
+    return;
   }
 
-  // Load questions
-  const questions = await fetchJSON(`${basePath}data/quizzes/${state.examId}.json`);
-  if (!questions || !Array.isArray(questions) || questions.length === 0) {
+  const weightInput = (id, label) => createEl('input', {
+    class: 'quiz-mix-option__weight',
+    type: 'number',
+    id,
+    min: '1',
+    max: '10',
+    value: '1',
+    'aria-label': `Weight for ${label}`
+  });
+
+  const primaryWeight = weightInput('quiz-mix-primary-weight', primary.series);
+  primaryWeight.addEventListener('input', () => updateMixShares(form));
+  picker.appendChild(createEl('div', { class: 'quiz-topic-option quiz-mix-option quiz-mix-option--primary' }, [
+    createEl('span', { text: `${primary.series} (selected exam)` }),
+    createEl('span', { class: 'quiz-mix-option__share' }),
+    primaryWeight
+  ]));
+
+  exams.filter(ex => ex.id !== primaryId).forEach(exam => {
+    const checkbox = createEl('input', { type: 'checkbox', name: 'qmix', value: exam.id });
+    const weight = weightInput(`quiz-mix-weight-${exam.id}`, exam.series);
+    weight.disabled = true;
+    checkbox.addEventListener('change', () => {
+      weight.disabled = !checkbox.checked;
+      updateMixShares(form);
+      onChange();
+    });
+    weight.addEventListener('input', () => updateMixShares(form));
+    picker.appendChild(createEl('label', { class: 'checkbox quiz-topic-option quiz-mix-option' }, [
+      checkbox,
+      createEl('span', { text: `${exam.series} - ${exam.name}` }),
+      createEl('span', { class: 'quiz-mix-option__share' }),
+      weight
+    ]));
+  });
+
+  updateMixShares(form);
+  const modeSelect = $('#quiz-mode-select', form);
+  group.hidden = !!modeSelect && modeSelect.value === 'simulation';
+}
+
+function getMixedExams(form) {
+  return $$('input[name="qmix"]:checked:not(:disabled)', form).map(input => ({
+    id: input.value,
+    weight: readMixWeight($(`#quiz-mix-weight-${input.value}`, form))
+  }));
+}
+
+function readMixWeight(input) {
+  const weight = input ? parseInt(input.value, 10) : 1;
+  return Number.isFinite(weight) ? Math.min(Math.max(weight, 1), 10) : 1;
+}
+
+// Show each mixed exam's share of the questions next to its weight
+function updateMixShares(form) {
+  const primary = $('#quiz-mix-primary-weight', form);
+  if (!primary) return;
+  const extras = getMixedExams(form);
+  const total = readMixWeight(primary) + extras.reduce((sum, x) => sum + x.weight, 0);
+  const shareOf = weight => (extras.length > 0 ? `${Math.round((weight / total) * 100)}%` : '');
+
+  primary.closest('.quiz-mix-option').querySelector('.quiz-mix-option__share').textContent = shareOf(readMixWeight(primary));
+  $$('input[name="qmix"]', form).forEach(input => {
+    const extra = extras.find(x => x.id === input.value);
+    input.closest('.quiz-mix-option').querySelector('.quiz-mix-option__share').textContent = extra ? shareOf(extra.weight) : '';
+  });
+}
+
+function getCheckedTopics(form) {
+  return $$('input[name="qtopic"]:checked', form).map(input => input.value);
+}
+
+function restrictToTopics(exam, topicIds) {
+  if (!topicIds || topicIds.length === 0 || !Array.isArray(exam.topics)) return exam;
+  return { ...exam, topics: exam.topics.filter(t => topicIds.includes(t.id)) };
+}
+
+// Explain, per topic, why the adaptive draw leans the way it does
+async function renderAdaptivePlan(exam, form) {
+  const panel = $('#quiz-adaptive-plan', form);
+  if (!panel) return;
+
+  if (!exam || !Array.isArray(exam.topics) || exam.topics.length === 0) {
+    panel.hidden = true;
+    return;
+  }
+
+  const { getExamProgress } = await import('./progress.js');
+  const plan = planAdaptive(exam, getExamProgress(exam.id).quizScores);
+
+  const countRadio = form.querySelector('input[name="qcount"]:checked');
+  const countVal = countRadio ? countRadio.value : '25';
+  const count = countVal === 'all' ? null : parseInt(countVal, 10);
+
+  panel.innerHTML = '';
+  panel.appendChild(createEl('p', { class: 'quiz-adaptive__title', text: 'How this quiz will be weighted' }));
+
+  const list = createEl('ul', { class: 'quiz-adaptive__list' });
+  plan.forEach(topic => {
+    const share = Math.round(topic.share * 100);
+    const item = createEl('li', { class: `quiz-adaptive__item quiz-adaptive__item--${topic.level}` });
+    item.appendChild(createEl('span', { class: 'quiz-adaptive__name', text: topic.name }));
+    item.appendChild(createEl('span', {
+      class: 'quiz-adaptive__share',
+      text: count ? `~${Math.round(topic.share * count)} questions` : `${share}% of questions`
+    }));
+    item.appendChild(createEl('span', { class: 'quiz-adaptive__reason', text: topic.reason }));
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+  panel.hidden = false;
+}
+
+// ── Start quiz ───────────────────────────────────────────────────
+
+/**
+ * Load the bank(s) and draw `state.questions` for the configured mode,
+ * count and topics. Renders a message into `root` and returns false when
+ * there is nothing to draw. Shared by startQuiz and the printable test.
+ */
+async function drawQuestions(root) {
+  const questions = await loadExamData(state.examIds);
+  if (questions.length === 0) {
     root.innerHTML = `
       <div class="quiz-config" style="text-align:center;">
         <h2>No Questions Available</h2>
@@ -132,29 +805,663 @@ async function startQuiz(root) {
         <a href="./" class="btn btn--primary">Back to Quiz Setup</a>
       </div>
     `;
-    return;
+    return false;
+  }
+
+  if (isMixed() && (state.mode === 'simulation' || state.mode === 'adaptive')) {
+    showToast(`${state.mode === 'simulation' ? 'Exam simulation' : 'Adaptive mode'} is not available for mixed quizzes`, 'error');
+    state.mode = 'practice';
+  } else if (state.mode === 'simulation' && !hasBlueprint(state.examMeta)) {
+    showToast('Exam simulation is not available for this exam yet', 'error');
+    state.mode = 'practice';
+  }
+  // Topic ids belong to a single exam's outline
+  if (isMixed()) state.topics = [];
+
+  state.unscored = new Set();
+
+  if (SHAREABLE_MODES.includes(state.mode)) {
+    state.seed = state.seed || Math.random().toString(36).slice(2, 10);
+    state.random = seededRandom(state.seed);
+  } else {
+    state.seed = null;
+    state.random = Math.random;
+  }
+
+  let pool = questions;
+  if (state.topics.length > 0 && state.mode !== 'simulation') {
+    pool = questions.filter(q => state.topics.includes(q.topic));
+    if (pool.length === 0) {
+      renderEmptyPool(root, 'No Questions Available', 'No questions in this bank match the selected topics.');
+      return false;
+    }
+  }
+
+  if (REVIEW_POOLS[state.mode]) {
+    const { getQuestionHistory } = await import('./progress.js');
+    const histories = Object.fromEntries(state.examIds.map(id => [id, getQuestionHistory(id)]));
+    pool = pool.filter(q => REVIEW_POOLS[state.mode].pick(histories[examOf(q)], q));
+    if (pool.length === 0) {
+      renderEmptyPool(root, 'Nothing to Review', REVIEW_POOLS[state.mode].empty);
+      return false;
+    }
   }
 
-  // Shuffle and limit
-  const shuffled = shuffleArray(questions);
-  const limit = state.count === Infinity ? shuffled.length : Math.min(state.count, shuffled.length);
-  state.questions = shuffled.slice(0, limit);
+  if (state.mode === 'adaptive') {
+    const { getExamProgress, getQuestionHistory } = await import('./progress.js');
+    const attempts = getExamProgress(state.examId).quizScores;
+    const plan = planAdaptive(restrictToTopics(state.examMeta || {}, state.topics), attempts);
+    const limit = state.count === Infinity ? pool.length : Math.min(state.count, pool.length);
+    state.questions = drawAdaptive(pool, plan, limit, getQuestionHistory(state.examId).seen);
+  } else if (state.mode === 'simulation') {
+    // Draw a blueprint-accurate form and run on the real exam clock
+    const form = buildSimulationForm(questions, state.examMeta, state.random);
+    state.questions = form.questions;
+    state.unscored = form.unscored;
+  } else if (isMixed()) {
+    state.questions = drawMixed(pool, state.count, state.random);
+  } else {
+    // Shuffle and limit
+    const shuffled = shuffleArray(pool, state.random);
+    const limit = state.count === Infinity ? shuffled.length : Math.min(state.count, shuffled.length);
+    state.questions = shuffled.slice(0, limit);
+  }
+  state.questions = state.questions.map(q => withNumbers(q, null, state.random));
+  if (state.shuffleChoices) {
+    state.questions = state.questions.map(q => shuffleChoices(q, null, state.random));
+  }
   state.count = state.questions.length;
+  return true;
+}
+
+function renderSkeleton(root) {
+  root.innerHTML = `
+    <div class="quiz-config" aria-busy="true" aria-label="Loading quiz">
+      <div class="skeleton skeleton--title" style="margin-bottom:var(--space-lg)"></div>
+      <div class="skeleton skeleton--text"></div>
+      <div class="skeleton skeleton--text-short" style="margin-bottom:var(--space-xl)"></div>
+      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
+      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
+      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg);margin-bottom:var(--space-md)"></div>
+      <div class="skeleton" style="height:120px;border-radius:var(--radius-lg)"></div>
+    </div>
+  `;
+}
+
+async function startQuiz(root) {
+  renderSkeleton(root);
+  if (!(await drawQuestions(root))) return;
+
+  state.paper = false;
   state.answers = {};
   state.flagged = new Set();
+  state.timeSpent = {};
+  state.confidence = {};
+  state.eliminated = {};
+  state.highlights = {};
+  state.calculator.values = {};
   state.currentIndex = 0;
   state.submitted = false;
+  state.recorded = false;
   state.reviewMode = false;
+  state.walkthrough = null;
 
-  // Timer setup
-  if (state.timed) {
-    state.totalSeconds = Math.round(state.count * 1.5 * 60); // 1.5 min per question
-    state.secondsLeft = state.totalSeconds;
+  // Timer setup; simulation always runs on the exam clock, extended or not
+  if (state.mode === 'simulation' && !SIMULATION_PROFILES.includes(state.timerProfile)) {
+    state.timerProfile = 'exam';
   }
+  const profile = TIMER_PROFILES[state.timerProfile];
+  state.timed = !!profile.seconds;
+  state.totalSeconds = state.timed ? profile.seconds() : 0;
+  state.secondsLeft = state.totalSeconds;
+  state.elapsedSeconds = 0;
+  state.paused = false;
+  state.pausedAt = 0;
+  state.pauses = [];
+  state.drillSeconds = state.mode === 'drill' ? drillLimit(state.drillPace) : 0;
+  state.drillLeft = {};
+  state.timedOut = new Set();
 
   // Clear root and render
   root.innerHTML = '';
   renderQuiz(root);
+  saveSession();
+}
+
+function renderEmptyPool(root, title, message) {
+  root.innerHTML = '';
+  root.appendChild(createEl('div', { class: 'quiz-config', style: 'text-align:center;' }, [
+    createEl('h2', { text: title }),
+    createEl('p', {
+      text: message,
+      style: 'margin:var(--space-md) 0;color:var(--color-text-secondary);'
+    }),
+    createEl('a', { href: './', class: 'btn btn--primary', text: 'Back to Quiz Setup' })
+  ]));
+}
+
+// ── Printable test ───────────────────────────────────────────────
+
+// Modes a seed can redraw exactly; anything else prints as practice
+const PRINTABLE_MODES = ['practice', 'simulation'];
+const MODE_CODES = { practice: 'p', simulation: 's' };
+const CODE_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Code printed on a paper test. Ahead of the seed it carries every setting
+ * the draw depends on - exams with mix weights, the requested count,
+ * topics, mode and choice shuffling - so grading needs nothing but the
+ * sheet, e.g. "series7*2+sie/25/all/px/k3f9a2qd".
+ */
+function formCode(count) {
+  const exams = state.examIds.map((id, i) => (state.mix[i] === 1 ? id : `${id}*${state.mix[i]}`));
+  return [
+    exams.join('+'),
+    count === Infinity ? 'all' : count,
+    state.topics.length > 0 ? state.topics.join('+') : 'all',
+    MODE_CODES[state.mode] + (state.shuffleChoices ? 'x' : ''),
+    state.seed
+  ].join('/');
+}
+
+// Settings written by formCode(), or null if `code` is not one
+function parseFormCode(code) {
+  const parts = code.split('/');
+  if (parts.length !== 5) return null;
+  const [exams, count, topics, flags, seed] = parts;
+
+  const entries = exams.split('+').map(entry => entry.split('*'));
+  const examIds = entries.map(([id]) => id);
+  const mix = entries.map(([, weight]) => (weight === undefined ? 1 : Number(weight)));
+  const topicIds = topics === 'all' ? [] : topics.split('+');
+  const mode = Object.keys(MODE_CODES).find(id => MODE_CODES[id] === flags[0]);
+
+  if (!examIds.every(id => CODE_ID_PATTERN.test(id)) || new Set(examIds).size !== examIds.length) return null;
+  if (!mix.every(w => Number.isFinite(w) && w > 0)) return null;
+  if (count !== 'all' && !/^[1-9]\d*$/.test(count)) return null;
+  if (!topicIds.every(id => CODE_ID_PATTERN.test(id))) return null;
+  if (!mode || !['', 'x'].includes(flags.slice(1)) || !SEED_PATTERN.test(seed)) return null;
+
+  return {
+    examIds,
+    mix,
+    count: count === 'all' ? Infinity : parseInt(count, 10),
+    topics: topicIds,
+    mode,
+    shuffleChoices: flags.slice(1) === 'x',
+    seed
+  };
+}
+
+/**
+ * Draw a form and lay it out for paper: the question booklet, a bubble
+ * answer sheet and the answer key, each starting on a new page. The seed
+ * goes into the URL so the same form can be reprinted or graded later.
+ */
+async function printTest(root) {
+  if (!PRINTABLE_MODES.includes(state.mode)) state.mode = 'practice';
+  // The draw overwrites the count with the number of questions it found
+  const count = state.count;
+  renderSkeleton(root);
+  if (!(await drawQuestions(root))) return;
+  // A simulated form states the exam's own time limit
+  if (state.mode === 'simulation' && !SIMULATION_PROFILES.includes(state.timerProfile)) {
+    state.timerProfile = 'exam';
+  }
+
+  const url = new URL(window.location);
+  url.searchParams.set('print', 'true');
+  url.searchParams.set('seed', state.seed);
+  if (state.mode === 'practice') url.searchParams.delete('mode');
+  else url.searchParams.set('mode', state.mode);
+  window.history.replaceState({}, '', url);
+
+  renderPrintTest(root, formCode(count));
+}
+
+function renderPrintTest(root, code) {
+  const title = state.examIds.map(examLabel).join(' + ');
+  const profile = TIMER_PROFILES[state.timerProfile];
+  const meta = [`${state.count} questions`];
+  if (profile.seconds) meta.push(`${Math.ceil(profile.seconds() / 60)} minutes`);
+  meta.push(`Form ${code}`);
+
+  const pageHeader = (heading, withName) => createEl('header', { class: 'print-test__header' }, [
+    createEl('h2', { class: 'print-test__title', text: heading }),
+    createEl('p', { class: 'print-test__meta', text: meta.join(' \u00b7 ') }),
+    withName ? createEl('p', { class: 'print-test__name' }, [
+      'Name', createEl('span', { class: 'print-test__blank' }),
+      'Date', createEl('span', { class: 'print-test__blank print-test__blank--short' })
+    ]) : null
+  ]);
+
+  root.innerHTML = '';
+  const test = createEl('div', { class: 'print-test' });
+
+  test.appendChild(createEl('div', { class: 'print-test__actions' }, [
+    createEl('button', { type: 'button', class: 'btn btn--primary', text: 'Print', onClick: () => window.print() }),
+    createEl('a', { href: gradeUrl(code), class: 'btn btn--secondary', text: 'Grade an Answer Sheet' }),
+    createEl('a', { href: './', class: 'btn btn--secondary', text: 'Back to Quiz Setup' })
+  ]));
+
+  // Question booklet
+  const booklet = createEl('section', { class: 'print-test__section' }, [
+    pageHeader(`${title} Practice Test`, true),
+    createEl('p', {
+      class: 'print-test__instructions',
+      text: 'Mark one answer for each question on the answer sheet. Unanswered questions are scored as incorrect.'
+    })
+  ]);
+  const list = createEl('ol', { class: 'print-test__questions' });
+  state.questions.forEach(q => {
+    list.appendChild(createEl('li', { class: 'print-question' }, [
+      createEl('p', { class: 'print-question__stem', text: q.question }),
+      createEl('ol', { class: 'print-question__choices' }, q.choices.map((choice, ci) =>
+        createEl('li', { text: `${LETTERS[ci]}. ${choice.replace(CHOICE_PREFIX, '')}` })
+      ))
+    ]));
+  });
+  booklet.appendChild(list);
+  test.appendChild(booklet);
+
+  // Bubble answer sheet
+  const sheet = createEl('section', { class: 'print-test__section print-test__section--break' }, [
+    pageHeader(`${title} Answer Sheet`, true)
+  ]);
+  const grid = createEl('div', { class: 'print-sheet' });
+  state.questions.forEach((q, i) => {
+    grid.appendChild(createEl('div', { class: 'print-sheet__row' }, [
+      createEl('span', { class: 'print-sheet__number', text: `${i + 1}.` }),
+      ...q.choices.map((_, ci) => createEl('span', { class: 'print-sheet__bubble', text: LETTERS[ci] }))
+    ]));
+  });
+  sheet.appendChild(grid);
+  test.appendChild(sheet);
+
+  // Answer key
+  const key = createEl('section', { class: 'print-test__section print-test__section--break' }, [
+    pageHeader(`${title} Answer Key`, false)
+  ]);
+  const keyList = createEl('ol', { class: 'print-key' });
+  state.questions.forEach(q => {
+    const item = createEl('li', { class: 'print-key__item' }, [
+      createEl('strong', { class: 'print-key__answer', text: LETTERS[q.correct] })
+    ]);
+    if (state.unscored.has(q.id)) {
+      item.appendChild(createEl('span', { class: 'print-key__unscored', text: ' (unscored pretest item)' }));
+    }
+    if (q.explanation) item.appendChild(createEl('p', { class: 'print-key__explanation', text: q.explanation }));
+    keyList.appendChild(item);
+  });
+  key.appendChild(keyList);
+  test.appendChild(key);
+
+  root.appendChild(test);
+}
+
+// ── Paper grading ────────────────────────────────────────────────
+
+// Marks that leave a question blank on a typed-in answer sheet
+const BLANK_MARKS = '-_.?';
+
+function gradeUrl(code) {
+  const url = new URL('./', window.location);
+  url.searchParams.set('grade', 'true');
+  url.searchParams.set('form', code);
+  return url.toString();
+}
+
+/**
+ * Parse a typed answer sheet ("BACD...", spaces, commas and question
+ * numbers allowed) against `questions`. Returns { answers } with displayed
+ * choice indices, or { error } describing the first problem.
+ */
+function parseAnswerSheet(text, questions) {
+  const marks = text.toUpperCase().replace(/\d+[.):]?|[\s,;]/g, '');
+  if (marks.length !== questions.length) {
+    return { error: `Enter ${questions.length} answers; found ${marks.length}.` };
+  }
+  const answers = {};
+  for (let i = 0; i < marks.length; i++) {
+    const mark = marks[i];
+    if (BLANK_MARKS.includes(mark)) continue;
+    const choice = LETTERS.indexOf(mark);
+    if (choice === -1 || choice >= questions[i].choices.length) {
+      return { error: `Question ${i + 1}: "${mark}" is not one of its choices.` };
+    }
+    answers[i] = choice;
+  }
+  return { answers };
+}
+
+/**
+ * Entry screen for a printed test: the learner types the form code and the
+ * answers from their sheet. The form is redrawn from the code, then scored
+ * and saved exactly like an on-screen attempt.
+ */
+async function renderGradeForm(root, code = '') {
+  // Exam ids in a code are checked against exams.json before drawing
+  const exams = await fetchJSON(`${getBasePath()}data/exams.json`);
+  const known = new Set((Array.isArray(exams) ? exams : []).map(exam => exam.id));
+
+  const error = createEl('p', { class: 'quiz-grade__error', role: 'alert' });
+  const codeInput = createEl('input', {
+    type: 'text',
+    id: 'quiz-grade-form',
+    autocomplete: 'off',
+    spellcheck: 'false',
+    required: '',
+    value: code
+  });
+  const answersInput = createEl('textarea', {
+    id: 'quiz-grade-answers',
+    class: 'quiz-grade__answers',
+    rows: '4',
+    autocomplete: 'off',
+    spellcheck: 'false',
+    required: '',
+    placeholder: 'BACDABDC...'
+  });
+
+  const form = createEl('form', { class: 'quiz-config__form' }, [
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'quiz-grade-form', text: 'Form code' }),
+      codeInput,
+      createEl('p', { class: 'quiz-config__hint', text: 'Printed at the top of the test after "Form", e.g. series7/25/all/p/k3f9a2qd.' })
+    ]),
+    createEl('div', { class: 'form-group' }, [
+      createEl('label', { for: 'quiz-grade-answers', text: 'Answers' }),
+      answersInput,
+      createEl('p', {
+        class: 'quiz-config__hint',
+        text: 'One letter per question, in order. Spaces and question numbers are ignored; use - for a question left blank.'
+      })
+    ]),
+    error,
+    createEl('button', { type: 'submit', class: 'btn btn--primary btn--lg', style: 'width:100%;', text: 'Grade Test' })
+  ]);
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    error.textContent = '';
+    const entered = codeInput.value.trim();
+    const settings = parseFormCode(entered);
+    if (!settings || !settings.examIds.every(id => known.has(id))) {
+      error.textContent = 'Enter the form code exactly as printed.';
+      codeInput.focus();
+      return;
+    }
+    setExams(settings.examIds, settings.mix);
+    state.count = settings.count;
+    state.topics = settings.topics;
+    state.mode = settings.mode;
+    state.shuffleChoices = settings.shuffleChoices;
+    state.seed = settings.seed;
+    state.timerProfile = 'untimed';
+    state.rateConfidence = false;
+    if (!(await drawQuestions(root))) return;
+
+    const sheet = parseAnswerSheet(answersInput.value, state.questions);
+    if (sheet.error) {
+      error.textContent = sheet.error;
+      answersInput.focus();
+      return;
+    }
+    gradePaperTest(root, sheet.answers, entered);
+  });
+
+  root.innerHTML = '';
+  root.appendChild(createEl('div', { class: 'quiz-config quiz-grade' }, [
+    createEl('h2', { text: 'Grade a Paper Test' }),
+    createEl('p', {
+      class: 'quiz-config__hint',
+      text: 'The form code rebuilds the exact test that was printed, so no other settings are needed.'
+    }),
+    form
+  ]));
+  (code ? answersInput : codeInput).focus();
+}
+
+function gradePaperTest(root, answers, code) {
+  state.paper = true;
+  state.answers = answers;
+  state.flagged = new Set();
+  state.timeSpent = {};
+  state.confidence = {};
+  state.eliminated = {};
+  state.highlights = {};
+  state.calculator.values = {};
+  state.currentIndex = 0;
+  state.submitted = true;
+  state.recorded = false;
+  state.reviewMode = false;
+  state.walkthrough = null;
+  state.timed = false;
+  state.elapsedSeconds = 0;
+  state.paused = false;
+  state.pauses = [];
+
+  window.history.replaceState({}, '', gradeUrl(code));
+  showResults(root);
+}
+
+// ── Exam simulation ──────────────────────────────────────────────
+
+function hasBlueprint(exam) {
+  return !!(exam && exam.questions && exam.timeMinutes && Array.isArray(exam.topics) &&
+    exam.topics.some(t => t.questions));
+}
+
+/**
+ * Draw a form matching the exam blueprint: each topic contributes its
+ * `questions` count of scored items, then `unscored` pretest items are
+ * drawn from what is left. Topics the bank cannot cover are topped up
+ * from the remaining pool so the form is always full length.
+ */
+function buildSimulationForm(bank, exam, random = Math.random) {
+  const used = new Set();
+  const scored = [];
+
+  exam.topics.forEach(topic => {
+    const pool = shuffleArray(bank.filter(q => q.topic === topic.id), random);
+    pool.slice(0, topic.questions || 0).forEach(q => {
+      scored.push(q);
+      used.add(q.id);
+    });
+  });
+
+  const scoredTarget = exam.scored || (exam.questions - (exam.unscored || 0));
+  const leftovers = shuffleArray(bank.filter(q => !used.has(q.id)), random);
+  while (scored.length < scoredTarget && leftovers.length > 0) {
+    scored.push(leftovers.pop());
+  }
+
+  const pretest = leftovers.slice(0, exam.unscored || 0);
+
+  return {
+    questions: shuffleArray([...scored, ...pretest], random),
+    unscored: new Set(pretest.map(q => q.id))
+  };
+}
+
+// ── Adaptive selection ───────────────────────────────────────────
+
+/**
+ * Score each blueprint topic by rolling accuracy over the most recent
+ * attempts. Accuracy is Laplace-smoothed so a topic with no history
+ * starts at 50%, and priority scales with the topic's exam weight.
+ */
+function planAdaptive(exam, attempts) {
+  const topics = exam && Array.isArray(exam.topics) ? exam.topics : [];
+  const recent = (attempts || []).filter(a => a.topics).slice(-ADAPTIVE_WINDOW);
+
+  const plan = topics.map(topic => {
+    let correct = 0;
+    let total = 0;
+    recent.forEach(attempt => {
+      const result = attempt.topics[topic.id];
+      if (result) {
+        correct += result.correct;
+        total += result.total;
+      }
+    });
+
+    const accuracy = (correct + 1) / (total + 2);
+    const pct = total > 0 ? Math.round((correct / total) * 100) : null;
+    const level = total === 0 ? 'new' : accuracy < 0.6 ? 'weak' : accuracy < 0.8 ? 'developing' : 'strong';
+    const reasons = {
+      new: 'Not practiced yet',
+      weak: `Emphasized: ${pct}% correct over your last ${total} questions`,
+      developing: `Some extra practice: ${pct}% correct over your last ${total} questions`,
+      strong: `Lighter review: ${pct}% correct over your last ${total} questions`
+    };
+
+    return {
+      id: topic.id,
+      name: topic.name,
+      level,
+      reason: reasons[level],
+      priority: (topic.weight || 1) * (1 - accuracy)
+    };
+  });
+
+  const totalPriority = plan.reduce((sum, t) => sum + t.priority, 0) || 1;
+  plan.forEach(t => { t.share = t.priority / totalPriority; });
+  return plan;
+}
+
+/**
+ * Allocate `count` questions across topics by plan share (largest
+ * remainder), preferring questions the learner has never seen.
+ */
+function drawAdaptive(bank, plan, count, seenIds) {
+  const counts = apportion(plan.map(t => t.share), count);
+  const quotas = plan.map((t, i) => ({ id: t.id, n: counts[i] }));
+
+  const unseenFirst = pool => [
+    ...shuffleArray(pool.filter(q => !seenIds.has(q.id))),
+    ...shuffleArray(pool.filter(q => seenIds.has(q.id)))
+  ];
+
+  const picked = [];
+  const used = new Set();
+  quotas.forEach(quota => {
+    unseenFirst(bank.filter(q => q.topic === quota.id))
+      .slice(0, quota.n)
+      .forEach(q => {
+        picked.push(q);
+        used.add(q.id);
+      });
+  });
+
+  // Top up from other topics when a topic's pool runs short
+  const rest = unseenFirst(bank.filter(q => !used.has(q.id)));
+  while (picked.length < count && rest.length > 0) {
+    picked.push(rest.shift());
+  }
+
+  return shuffleArray(picked);
+}
+
+// ── Mixed sessions ───────────────────────────────────────────────
+
+/**
+ * Split `count` across the session's exams by mix share, topping up from
+ * the other banks when one runs short, then interleave the draw
+ */
+function drawMixed(pool, count, random) {
+  const limit = count === Infinity ? pool.length : Math.min(count, pool.length);
+  const quotas = apportion(state.mix, limit);
+  const picked = [];
+  const leftovers = [];
+
+  state.examIds.forEach((id, i) => {
+    const own = shuffleArray(pool.filter(q => q.exam === id), random);
+    picked.push(...own.slice(0, quotas[i]));
+    leftovers.push(...own.slice(quotas[i]));
+  });
+
+  const rest = shuffleArray(leftovers, random);
+  while (picked.length < limit && rest.length > 0) {
+    picked.push(rest.pop());
+  }
+
+  return shuffleArray(picked, random);
+}
+
+// Split `count` into whole numbers proportional to `weights` (largest remainder)
+function apportion(weights, count) {
+  const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const exact = weights.map(w => (w / total) * count);
+  const counts = exact.map(Math.floor);
+  let remaining = count - counts.reduce((sum, n) => sum + n, 0);
+  exact
+    .map((_, i) => i)
+    .sort((a, b) => (exact[b] - counts[b]) - (exact[a] - counts[a]))
+    .forEach(i => {
+      if (remaining > 0) {
+        counts[i]++;
+        remaining--;
+      }
+    });
+  return counts;
+}
+
+// ── Choice shuffling ─────────────────────────────────────────────
+
+const CHOICE_PREFIX = /^[A-D]\.\s+/;
+// "All of the above" and friends only make sense in their original slot
+const POSITIONAL_CHOICE = /\b(all|none|both|neither) of the (above|preceding|following)\b/i;
+// "Both A and C" stays in its slot too, but its letters follow the choices it names
+const LETTER_REFERENCE = /^(Both|Neither|Either)\s+([A-D])\s+(and|nor|or)\s+([A-D])\b/;
+
+/**
+ * Fill in a template item's numbers so it can be shown like any other
+ * question: saved `params` rebuild the same numbers (resume, review),
+ * otherwise fresh ones are drawn with `random`. Other items pass through.
+ */
+function withNumbers(q, params, random = Math.random) {
+  return isTemplate(q) ? instantiateTemplate(q, random, params || null) : q;
+}
+
+/**
+ * Return a copy of `q` with its choices reordered. `order[newIndex]` is
+ * the original index; choices that refer to others keep their slot,
+ * prefixes are re-lettered and `correct` is remapped. Pass a saved
+ * `order` to rebuild the same arrangement (resume, review, retry).
+ */
+function shuffleChoices(q, order, random = Math.random) {
+  if (!Array.isArray(q.choices) || q.choices.length < 2) return q;
+
+  if (!order) {
+    const pinned = q.choices.map(c => {
+      const text = c.replace(CHOICE_PREFIX, '');
+      return POSITIONAL_CHOICE.test(text) || LETTER_REFERENCE.test(text);
+    });
+    const movable = shuffleArray(q.choices.map((_, i) => i).filter(i => !pinned[i]), random);
+    order = q.choices.map((_, i) => (pinned[i] ? i : movable.shift()));
+  }
+
+  const newIndexOf = original => order.indexOf(original);
+  const choices = order.map((original, newIndex) => {
+    const raw = q.choices[original];
+    const hasPrefix = CHOICE_PREFIX.test(raw);
+    const text = raw.replace(CHOICE_PREFIX, '').replace(LETTER_REFERENCE, (match, lead, a, joiner, b) => {
+      const remapped = [a, b]
+        .map(letter => LETTERS[newIndexOf(LETTERS.indexOf(letter))])
+        .sort();
+      return `${lead} ${remapped[0]} ${joiner} ${remapped[1]}`;
+    });
+    return hasPrefix ? `${LETTERS[newIndex]}. ${text}` : text;
+  });
+
+  return { ...q, choices, correct: newIndexOf(q.correct), choiceOrder: order };
+}
+
+// Map a displayed choice index back to the bank's original index
+function toOriginalChoice(q, choice) {
+  if (choice === undefined || !q.choiceOrder) return choice;
+  return q.choiceOrder[choice];
 }
 
 // ── Render quiz ──────────────────────────────────────────────────
@@ -162,6 +1469,7 @@ async function startQuiz(root) {
 function renderQuiz(root) {
   root.innerHTML = '';
   root.className = 'quiz-active';
+  state.questionShownAt = Date.now();
 
   // Header
   const header = createEl('div', { class: 'quiz-header' });
@@ -170,16 +1478,61 @@ function renderQuiz(root) {
   counter.id = 'quiz-counter';
   header.appendChild(counter);
 
-  if (state.timed) {
-    const timerWrap = createEl('div', { class: 'quiz-timer' });
-    timerWrap.id = 'quiz-timer';
-    const ring = createTimerRing(48);
-    state.timerRing = ring;
-    timerWrap.appendChild(ring.svg);
-    header.appendChild(timerWrap);
-    startTimer();
+  const tools = createEl('div', { class: 'quiz-header__tools' });
+
+  // The clock only runs while answering; review mode has none
+  if (hasClock() && !state.submitted) {
+    if (state.timed) {
+      const timerWrap = createEl('div', { class: 'quiz-timer' });
+      timerWrap.id = 'quiz-timer';
+      const ring = createTimerRing(48);
+      state.timerRing = ring;
+      timerWrap.appendChild(ring.svg);
+      tools.appendChild(timerWrap);
+    } else {
+      tools.appendChild(createEl('span', {
+        class: 'quiz-stopwatch',
+        id: 'quiz-stopwatch',
+        role: 'timer',
+        'aria-label': 'Time elapsed'
+      }));
+    }
+    tools.appendChild(createEl('span', { class: 'quiz-timer__status', id: 'quiz-timer-status', role: 'status', 'aria-live': 'polite' }));
+
+    const pauseBtn = createEl('button', {
+      class: 'btn btn--secondary quiz-pause-btn',
+      type: 'button',
+      id: 'quiz-pause-btn',
+      'aria-pressed': String(state.paused),
+      text: state.paused ? 'Resume' : 'Pause'
+    });
+    pauseBtn.addEventListener('click', () => togglePause(root));
+    tools.appendChild(pauseBtn);
   }
 
+  const shortcutsBtn = createEl('button', {
+    class: 'quiz-shortcuts-btn',
+    type: 'button',
+    text: '?',
+    'aria-label': 'Keyboard shortcuts',
+    title: 'Keyboard shortcuts (?)'
+  });
+  shortcutsBtn.addEventListener('click', () => openShortcutsOverlay());
+
+  const calcBtn = createEl('button', {
+    class: 'quiz-calc-btn',
+    type: 'button',
+    id: 'quiz-calc-btn',
+    'aria-label': 'Calculator',
+    'aria-pressed': String(state.calculator.open),
+    title: 'Calculator'
+  });
+  calcBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><rect x="4" y="2" width="16" height="20" rx="2"/><line x1="8" y1="6" x2="16" y2="6"/><line x1="8" y1="11" x2="8" y2="11"/><line x1="12" y1="11" x2="12" y2="11"/><line x1="16" y1="11" x2="16" y2="11"/><line x1="8" y1="15" x2="8" y2="15"/><line x1="12" y1="15" x2="12" y2="15"/><line x1="16" y1="15" x2="16" y2="18"/><line x1="8" y1="18" x2="12" y2="18"/></svg>';
+  calcBtn.addEventListener('click', () => toggleCalculator(root));
+  tools.appendChild(calcBtn);
+  tools.appendChild(shortcutsBtn);
+
+  header.appendChild(tools);
   root.appendChild(header);
 
   // Progress dots
@@ -226,21 +1579,22 @@ function renderQuiz(root) {
     type: 'button',
     id: 'quiz-next'
   });
-  nextBtn.addEventListener('click', () => {
-    if (state.currentIndex === state.count - 1 && !state.submitted) {
-      confirmSubmit(root);
-    } else {
-      goToQuestion(state.currentIndex + 1, root);
-    }
-  });
+  nextBtn.addEventListener('click', () => advance(root));
 
   nav.appendChild(prevBtn);
   nav.appendChild(flagBtn);
   nav.appendChild(nextBtn);
   root.appendChild(nav);
 
+  if (state.calculator.open) root.appendChild(buildCalculator(root));
+
   // Render first question
   renderQuestion(root);
+  if (hasClock() && !state.submitted) {
+    updateTimerDisplay();
+    setNavDisabled(root, state.paused);
+    if (!state.paused) startTimer();
+  }
 }
 
 // ── Render single question ───────────────────────────────────────
@@ -248,6 +1602,11 @@ function renderQuiz(root) {
 function renderQuestion(root) {
   const area = $('#quiz-question-area', root);
   if (!area) return;
+  stopDrill();
+  if (state.paused) {
+    renderPaused(root);
+    return;
+  }
 
   const q = state.questions[state.currentIndex];
   const i = state.currentIndex;
@@ -258,13 +1617,17 @@ function renderQuestion(root) {
     counter.textContent = `Question ${i + 1} of ${state.count}`;
   }
 
+  // Tutor mode reveals each answer as soon as it is locked in
+  const tutoring = state.mode === 'tutor' && !state.reviewMode;
+  const revealed = state.reviewMode || (tutoring && state.answers[i] !== undefined);
+
   // Update dots
   const dots = $$('.quiz-dot', root);
   dots.forEach((dot, idx) => {
     dot.classList.remove('current');
     dot.classList.toggle('answered', state.answers[idx] !== undefined);
     dot.classList.toggle('flagged', state.flagged.has(idx));
-    if (state.reviewMode) {
+    if (state.reviewMode || tutoring) {
       const isCorrect = state.questions[idx] &&
         state.answers[idx] === state.questions[idx].correct;
       dot.classList.toggle('correct', state.answers[idx] !== undefined && isCorrect);
@@ -280,7 +1643,11 @@ function renderQuestion(root) {
 
   if (prevBtn) prevBtn.disabled = i === 0;
   if (nextBtn) {
-    if (state.submitted) {
+    if (state.walkthrough && !state.submitted) {
+      nextBtn.textContent = nextWalkthroughIndex() === null
+        ? 'Back to Review'
+        : `Next ${state.walkthrough.kind === 'flagged' ? 'Flagged' : 'Unanswered'}`;
+    } else if (state.submitted) {
       nextBtn.textContent = i === state.count - 1 ? 'See Results' : 'Next';
     } else {
       nextBtn.textContent = i === state.count - 1 ? 'Submit Quiz' : 'Next';
@@ -295,83 +1662,514 @@ function renderQuestion(root) {
   area.innerHTML = '';
   const card = createEl('div', { class: 'quiz-question slide-left' });
 
+  // Mixed sessions name the exam each question was drawn from
+  if (isMixed()) {
+    card.appendChild(createEl('span', { class: 'badge badge--sm badge--outline quiz-question__exam', text: examLabel(examOf(q)) }));
+  }
+
   // Topic label
   if (q.topic) {
     card.appendChild(createEl('div', { class: 'quiz-question__topic', text: q.topicName || q.topic }));
   }
 
-  // Question text
-  card.appendChild(createEl('p', { class: 'quiz-question__text', text: q.question }));
+  // Pretest items are only revealed once the exam is over, as on the real test
+  if (state.reviewMode && state.unscored.has(q.id)) {
+    card.appendChild(createEl('span', { class: 'badge badge--sm badge--outline quiz-question__unscored', text: 'Unscored pretest item' }));
+  }
+
+  if (state.mode === 'drill' && !state.submitted) {
+    card.appendChild(renderDrillClock(i));
+  } else if (state.timedOut.has(i)) {
+    card.appendChild(createEl('span', { class: 'badge badge--sm badge--outline quiz-question__timeout', text: 'Timed out' }));
+  }
+
+  // Question text; struck choices and highlights stay visible but read-only after submit
+  const locked = isLocked(i);
+  const marking = !state.submitted && !locked;
+  card.appendChild(renderStem(q, root, marking));
+
+  // Choices
+  const choicesWrap = createEl('div', { class: 'quiz-choices' });
+  q.choices.forEach((choice, ci) => {
+    const btn = createEl('button', {
+      class: 'quiz-choice',
+      type: 'button'
+    });
+
+    const letterSpan = createEl('span', { class: 'quiz-choice__letter', text: LETTERS[ci] });
+    const textSpan = createEl('span', { text: choice });
+
+    btn.appendChild(letterSpan);
+    btn.appendChild(textSpan);
+
+    if ((state.eliminated[i] || []).includes(ci)) {
+      btn.classList.add('eliminated');
+      btn.appendChild(createEl('span', { class: 'sr-only', text: ' (struck out)' }));
+    }
+    if (marking) bindStrikeOut(btn, ci, root);
+
+    // Selected state
+    if (state.answers[i] === ci) {
+      btn.classList.add('selected');
+    }
+
+    // Review mode (or a locked tutor answer): show correct/incorrect
+    if (revealed) {
+      btn.classList.add('disabled');
+      if (ci === q.correct) {
+        btn.classList.add('correct');
+      } else if (state.answers[i] === ci && ci !== q.correct) {
+        btn.classList.add('incorrect');
+      }
+    } else if (locked) {
+      btn.classList.add('disabled');
+    } else if (!state.submitted) {
+      btn.addEventListener('click', () => selectAnswer(ci, root));
+    }
+
+    choicesWrap.appendChild(btn);
+  });
+
+  card.appendChild(choicesWrap);
+
+  if (state.rateConfidence) {
+    card.appendChild(renderConfidence(root, locked || state.submitted));
+  }
+
+  // Explanation in review mode
+  if (revealed && q.explanation) {
+    const explanation = createEl('div', { class: 'quiz-explanation' });
+    explanation.innerHTML = `<strong>Explanation:</strong> ${escapeHTML(q.explanation)}`;
+    card.appendChild(explanation);
+  }
+
+  let tutorNext = null;
+  if (tutoring && revealed) {
+    const isCorrect = state.answers[i] === q.correct;
+    const feedback = createEl('div', { class: 'quiz-tutor-feedback' });
+    feedback.appendChild(createEl('span', {
+      class: `quiz-tutor-feedback__verdict ${isCorrect ? 'correct' : 'incorrect'}`,
+      role: 'status',
+      text: isCorrect ? 'Correct' : `Incorrect \u2014 the answer is ${LETTERS[q.correct]}`
+    }));
+    tutorNext = createEl('button', {
+      class: 'btn btn--primary',
+      type: 'button',
+      text: i === state.count - 1 ? 'Finish' : 'Next'
+    });
+    tutorNext.addEventListener('click', () => advance(root));
+    feedback.appendChild(tutorNext);
+    card.appendChild(feedback);
+  }
+
+  area.appendChild(card);
+  syncCalculator(root);
+  startDrill(root);
+  if (tutorNext) tutorNext.focus();
+}
+
+// "How sure are you?" control; it locks once the answer is revealed
+function renderConfidence(root, locked) {
+  const i = state.currentIndex;
+  const group = createEl('div', { class: 'quiz-confidence', role: 'group', 'aria-labelledby': 'quiz-confidence-label' });
+  group.appendChild(createEl('span', { class: 'quiz-confidence__label', id: 'quiz-confidence-label', text: 'How sure are you?' }));
+
+  CONFIDENCE_LEVELS.forEach(level => {
+    const selected = state.confidence[i] === level.id;
+    const btn = createEl('button', {
+      class: `quiz-confidence__option${selected ? ' selected' : ''}`,
+      type: 'button',
+      text: level.label,
+      'aria-pressed': String(selected)
+    });
+    btn.disabled = locked;
+    btn.addEventListener('click', () => rateConfidence(level.id, root));
+    group.appendChild(btn);
+  });
+
+  return group;
+}
+
+// ── Answer selection ─────────────────────────────────────────────
+
+// Tutor and drill answers lock on first choice; a drill question also
+// locks when its countdown runs out
+function isLocked(i) {
+  if (state.mode !== 'tutor' && state.mode !== 'drill') return false;
+  return state.answers[i] !== undefined || state.timedOut.has(i);
+}
+
+function selectAnswer(choiceIndex, root) {
+  if (state.submitted) return;
+  if (isLocked(state.currentIndex)) return;
+  state.answers[state.currentIndex] = choiceIndex;
+  // Choosing a struck-out answer restores it
+  const struck = state.eliminated[state.currentIndex];
+  if (struck && struck.includes(choiceIndex)) {
+    setEliminated(state.currentIndex, struck.filter(ci => ci !== choiceIndex));
+  }
+  saveSession();
+  renderQuestion(root);
+}
+
+function rateConfidence(level, root) {
+  const i = state.currentIndex;
+  if (state.submitted || isLocked(i)) return;
+  // Picking the current level again clears the rating
+  if (state.confidence[i] === level) delete state.confidence[i];
+  else state.confidence[i] = level;
+  saveSession();
+  renderQuestion(root);
+}
+
+// ── Flag toggle ──────────────────────────────────────────────────
+
+function toggleFlag(root) {
+  const i = state.currentIndex;
+  if (state.flagged.has(i)) {
+    state.flagged.delete(i);
+  } else {
+    state.flagged.add(i);
+  }
+  saveSession();
+  renderQuestion(root);
+}
+
+// ── Strike-out and highlighting ──────────────────────────────────
+
+const LONG_PRESS_MS = 500;
+
+function setEliminated(i, choices) {
+  if (choices.length > 0) state.eliminated[i] = [...choices].sort();
+  else delete state.eliminated[i];
+}
+
+function toggleEliminated(choiceIndex, root) {
+  const i = state.currentIndex;
+  if (state.submitted || isLocked(i)) return;
+  const struck = state.eliminated[i] || [];
+  setEliminated(i, struck.includes(choiceIndex)
+    ? struck.filter(ci => ci !== choiceIndex)
+    : [...struck, choiceIndex]);
+  saveSession();
+  renderQuestion(root);
+}
+
+// Right-click, or a long press on touch screens, strikes a choice out
+function bindStrikeOut(btn, choiceIndex, root) {
+  let pressTimer = null;
+  let pressed = false;
+
+  btn.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    // Android also fires contextmenu for the long press handled below
+    if (!pressed) toggleEliminated(choiceIndex, root);
+  });
+  btn.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    pressed = false;
+    pressTimer = setTimeout(() => {
+      pressed = true;
+      toggleEliminated(choiceIndex, root);
+    }, LONG_PRESS_MS);
+  });
+  ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+    btn.addEventListener(type, () => clearTimeout(pressTimer));
+  });
+  // The click that ends a long press shouldn't also select the choice
+  btn.addEventListener('click', (e) => {
+    if (!pressed) return;
+    e.stopImmediatePropagation();
+    pressed = false;
+  }, { capture: true });
+}
+
+/**
+ * Build the question stem with its highlights as <mark> elements. While
+ * `editable`, selecting text marks it and clicking a mark removes it.
+ */
+function renderStem(q, root, editable) {
+  const i = state.currentIndex;
+  const ranges = state.highlights[i] || [];
+  const stem = createEl('p', { class: 'quiz-question__text' });
+
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > pos) stem.appendChild(document.createTextNode(q.question.slice(pos, start)));
+    const mark = createEl('mark', { class: 'quiz-question__mark', text: q.question.slice(start, end) });
+    mark.dataset.start = start;
+    stem.appendChild(mark);
+    pos = end;
+  });
+  if (pos < q.question.length) stem.appendChild(document.createTextNode(q.question.slice(pos)));
+
+  if (!editable) return stem;
+
+  stem.classList.add('quiz-question__text--markable');
+  const capture = (e) => {
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+      const range = selection.getRangeAt(0);
+      if (!stem.contains(range.startContainer) || !stem.contains(range.endContainer)) return;
+      const start = stemOffset(stem, range.startContainer, range.startOffset);
+      const end = stemOffset(stem, range.endContainer, range.endOffset);
+      selection.removeAllRanges();
+      if (end > start) setHighlights(i, [...ranges, [start, end]], root);
+    } else if (e.target.closest && e.target.closest('.quiz-question__mark')) {
+      const start = Number(e.target.closest('.quiz-question__mark').dataset.start);
+      setHighlights(i, ranges.filter(range => range[0] !== start), root);
+    }
+  };
+  stem.addEventListener('mouseup', capture);
+  stem.addEventListener('touchend', capture);
+
+  if (ranges.length === 0) return stem;
+
+  const clearBtn = createEl('button', { class: 'quiz-question__clear-marks', type: 'button', text: 'Clear highlights' });
+  clearBtn.addEventListener('click', () => setHighlights(i, [], root));
+  return createEl('div', { class: 'quiz-question__stem' }, [stem, clearBtn]);
+}
+
+// Character offset of a DOM position within the stem's text
+function stemOffset(stem, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(stem);
+  range.setEnd(node, offset);
+  return range.toString().length;
+}
+
+// Store ranges sorted, with overlapping or touching ones merged
+function setHighlights(i, ranges, root) {
+  const merged = [];
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+  if (merged.length > 0) state.highlights[i] = merged;
+  else delete state.highlights[i];
+  saveSession();
+  renderQuestion(root);
+}
+
+// ── Calculator ───────────────────────────────────────────────────
+
+const CALC_KEYS = [
+  ['C', '\u00b1', '%', '\u00f7'],
+  ['7', '8', '9', '\u00d7'],
+  ['4', '5', '6', '\u2212'],
+  ['1', '2', '3', '+'],
+  ['0', '.', '\u232b', '=']
+];
+const CALC_OPERATORS = {
+  '\u00f7': (a, b) => a / b,
+  '\u00d7': (a, b) => a * b,
+  '\u2212': (a, b) => a - b,
+  '+': (a, b) => a + b
+};
+// Physical keys accepted while the calculator has focus
+const CALC_KEYBOARD = { '/': '\u00f7', '*': '\u00d7', '-': '\u2212', '+': '+', 'Enter': '=', '=': '=', 'Backspace': '\u232b', 'Delete': 'C', 'c': 'C', '%': '%' };
+const CALC_MAX_DIGITS = 12;
+const CALC_NUDGE = 16; // px per arrow key when moving the panel
+
+// Pending operation; the display itself is kept per question in state.calculator.values
+let calc = { index: null, operand: null, operator: null, fresh: true };
+
+function toggleCalculator(root) {
+  state.calculator.open = !state.calculator.open;
+  const existing = $('#quiz-calculator', root);
+  if (existing) existing.remove();
+  if (state.calculator.open) {
+    const panel = buildCalculator(root);
+    root.appendChild(panel);
+    syncCalculator(root);
+    $('.quiz-calculator__key', panel).focus();
+  }
+  const btn = $('#quiz-calc-btn', root);
+  if (btn) btn.setAttribute('aria-pressed', String(state.calculator.open));
+  saveSession();
+}
+
+function buildCalculator(root) {
+  const panel = createEl('div', {
+    class: 'quiz-calculator',
+    id: 'quiz-calculator',
+    role: 'dialog',
+    'aria-labelledby': 'quiz-calculator-title'
+  });
+  if (state.calculator.x !== null) placeCalculator(panel, state.calculator.x, state.calculator.y);
+
+  const handle = createEl('div', {
+    class: 'quiz-calculator__header',
+    tabindex: '0',
+    title: 'Drag, or use the arrow keys, to move'
+  }, [createEl('span', { class: 'quiz-calculator__title', id: 'quiz-calculator-title', text: 'Calculator' })]);
+  const closeBtn = createEl('button', { class: 'quiz-calculator__close', type: 'button', 'aria-label': 'Close calculator', text: '\u00d7' });
+  closeBtn.addEventListener('click', () => {
+    toggleCalculator(root);
+    const btn = $('#quiz-calc-btn', root);
+    if (btn) btn.focus();
+  });
+  handle.appendChild(closeBtn);
+  makeDraggable(panel, handle);
+  panel.appendChild(handle);
 
-  // Choices
-  const choicesWrap = createEl('div', { class: 'quiz-choices' });
-  const letters = ['A', 'B', 'C', 'D'];
+  panel.appendChild(createEl('output', { class: 'quiz-calculator__display', 'aria-live': 'polite', text: '0' }));
 
-  q.choices.forEach((choice, ci) => {
+  const keypad = createEl('div', { class: 'quiz-calculator__keys' });
+  CALC_KEYS.flat().forEach(key => {
     const btn = createEl('button', {
-      class: 'quiz-choice',
-      type: 'button'
+      class: `quiz-calculator__key${CALC_OPERATORS[key] || key === '=' ? ' quiz-calculator__key--op' : ''}`,
+      type: 'button',
+      text: key
     });
+    btn.addEventListener('click', () => pressCalcKey(key, root));
+    keypad.appendChild(btn);
+  });
+  panel.appendChild(keypad);
 
-    const letterSpan = createEl('span', { class: 'quiz-choice__letter', text: letters[ci] });
-    const textSpan = createEl('span', { text: choice });
+  panel.addEventListener('keydown', (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.target === handle) return;
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closeBtn.click();
+      return;
+    }
+    const key = /^[0-9.]$/.test(e.key) ? e.key : CALC_KEYBOARD[e.key];
+    // Enter on a focused key button activates that button instead
+    if (!key || (e.key === 'Enter' && e.target.closest('button'))) return;
+    e.preventDefault();
+    pressCalcKey(key, root);
+  });
 
-    btn.appendChild(letterSpan);
-    btn.appendChild(textSpan);
+  return panel;
+}
 
-    // Selected state
-    if (state.answers[i] === ci) {
-      btn.classList.add('selected');
-    }
+// Pointer drag on the header, or arrow keys while it has focus
+function makeDraggable(panel, handle) {
+  let drag = null;
 
-    // Review mode: show correct/incorrect
-    if (state.reviewMode) {
-      btn.classList.add('disabled');
-      if (ci === q.correct) {
-        btn.classList.add('correct');
-      } else if (state.answers[i] === ci && ci !== q.correct) {
-        btn.classList.add('incorrect');
-      }
-    } else if (!state.submitted) {
-      btn.addEventListener('click', () => selectAnswer(ci, root));
-    }
+  handle.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('button')) return;
+    const rect = panel.getBoundingClientRect();
+    drag = { dx: e.clientX - rect.left, dy: e.clientY - rect.top };
+    if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+  handle.addEventListener('pointermove', (e) => {
+    if (drag) placeCalculator(panel, e.clientX - drag.dx, e.clientY - drag.dy);
+  });
+  ['pointerup', 'pointercancel'].forEach(type => {
+    handle.addEventListener(type, () => {
+      if (!drag) return;
+      drag = null;
+      saveSession();
+    });
+  });
 
-    choicesWrap.appendChild(btn);
+  handle.addEventListener('keydown', (e) => {
+    const step = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const rect = panel.getBoundingClientRect();
+    placeCalculator(panel, rect.left + step[0] * CALC_NUDGE, rect.top + step[1] * CALC_NUDGE);
+    saveSession();
   });
+}
 
-  card.appendChild(choicesWrap);
+// Position the panel, kept inside the viewport, and remember where
+function placeCalculator(panel, x, y) {
+  const maxX = Math.max(0, window.innerWidth - (panel.offsetWidth || 0));
+  const maxY = Math.max(0, window.innerHeight - (panel.offsetHeight || 0));
+  state.calculator.x = Math.round(Math.min(Math.max(0, x), maxX));
+  state.calculator.y = Math.round(Math.min(Math.max(0, y), maxY));
+  panel.style.left = `${state.calculator.x}px`;
+  panel.style.top = `${state.calculator.y}px`;
+  panel.style.right = 'auto';
+  panel.style.bottom = 'auto';
+}
 
-  // Explanation in review mode
-  if (state.reviewMode && q.explanation) {
-    const explanation = createEl('div', { class: 'quiz-explanation' });
-    explanation.innerHTML = `<strong>Explanation:</strong> ${escapeHTML(q.explanation)}`;
-    card.appendChild(explanation);
+// Show the current question's value; a pending operation doesn't carry over
+function syncCalculator(root) {
+  const display = $('.quiz-calculator__display', root);
+  if (!display) return;
+  if (calc.index !== state.currentIndex) {
+    calc = { index: state.currentIndex, operand: null, operator: null, fresh: true };
   }
+  display.textContent = state.calculator.values[state.currentIndex] || '0';
+}
 
-  area.appendChild(card);
+function formatCalcResult(value) {
+  if (!Number.isFinite(value)) return 'Error';
+  return String(Number(value.toPrecision(CALC_MAX_DIGITS)));
 }
 
-// ── Answer selection ─────────────────────────────────────────────
+function pressCalcKey(key, root) {
+  const i = state.currentIndex;
+  let display = state.calculator.values[i] || '0';
+  if (display === 'Error') display = '0';
+
+  if (/^[0-9]$/.test(key)) {
+    if (calc.fresh || display === '0') display = key;
+    else if (display.replace(/[-.]/g, '').length < CALC_MAX_DIGITS) display += key;
+    calc.fresh = false;
+  } else if (key === '.') {
+    if (calc.fresh) display = '0.';
+    else if (!display.includes('.')) display += '.';
+    calc.fresh = false;
+  } else if (CALC_OPERATORS[key]) {
+    if (calc.operator && !calc.fresh) {
+      display = formatCalcResult(CALC_OPERATORS[calc.operator](calc.operand, Number(display)));
+    }
+    calc.operand = Number(display);
+    calc.operator = key;
+    calc.fresh = true;
+  } else if (key === '=') {
+    if (calc.operator) {
+      display = formatCalcResult(CALC_OPERATORS[calc.operator](calc.operand, Number(display)));
+      calc.operator = null;
+    }
+    calc.fresh = true;
+  } else if (key === 'C') {
+    display = '0';
+    calc.operand = null;
+    calc.operator = null;
+    calc.fresh = true;
+  } else if (key === '\u232b') {
+    if (!calc.fresh) display = display.slice(0, -1).replace(/^-?$/, '0');
+  } else if (key === '\u00b1') {
+    display = display.startsWith('-') ? display.slice(1) : display === '0' ? display : `-${display}`;
+  } else if (key === '%') {
+    display = formatCalcResult(Number(display) / 100);
+    calc.fresh = true;
+  }
 
-function selectAnswer(choiceIndex, root) {
-  if (state.submitted) return;
-  state.answers[state.currentIndex] = choiceIndex;
-  renderQuestion(root);
+  if (display === '0') delete state.calculator.values[i];
+  else state.calculator.values[i] = display;
+  syncCalculator(root);
+  saveSession();
 }
 
-// ── Flag toggle ──────────────────────────────────────────────────
+// ── Navigation ───────────────────────────────────────────────────
 
-function toggleFlag(root) {
-  const i = state.currentIndex;
-  if (state.flagged.has(i)) {
-    state.flagged.delete(i);
+function advance(root) {
+  if (state.walkthrough && !state.submitted) {
+    const next = nextWalkthroughIndex();
+    if (next === null) confirmSubmit(root);
+    else goToQuestion(next, root);
+  } else if (state.currentIndex === state.count - 1 && !state.submitted) {
+    confirmSubmit(root);
   } else {
-    state.flagged.add(i);
+    goToQuestion(state.currentIndex + 1, root);
   }
-  renderQuestion(root);
 }
 
-// ── Navigation ───────────────────────────────────────────────────
+// Walkthroughs follow a snapshot of the list, so unflagging or answering
+// along the way does not skip anything
+function nextWalkthroughIndex() {
+  const next = state.walkthrough.indices.find(idx => idx > state.currentIndex);
+  return next === undefined ? null : next;
+}
 
 function goToQuestion(index, root) {
   if (index < 0 || index >= state.count) {
@@ -380,22 +2178,224 @@ function goToQuestion(index, root) {
     }
     return;
   }
+  logQuestionTime();
   state.currentIndex = index;
+  saveSession();
   renderQuestion(root);
 }
 
+// Credit the time since the last checkpoint to the question on screen
+function logQuestionTime() {
+  if (state.submitted || state.paused || !state.questionShownAt) return;
+  const now = Date.now();
+  const i = state.currentIndex;
+  state.timeSpent[i] = (state.timeSpent[i] || 0) + (now - state.questionShownAt);
+  state.questionShownAt = now;
+}
+
+// Jump to the next unanswered or flagged question after the current one
+function goToNextPending(root) {
+  for (let step = 1; step <= state.count; step++) {
+    const idx = (state.currentIndex + step) % state.count;
+    if (state.answers[idx] === undefined || state.flagged.has(idx)) {
+      goToQuestion(idx, root);
+      return;
+    }
+  }
+  showToast('Every question is answered and none are flagged', 'success');
+}
+
+// ── Keyboard support ─────────────────────────────────────────────
+
+const CONFIDENCE_KEYS = 'G / U / S';
+const PAUSE_KEY = 'P';
+const SHORTCUTS = [
+  ['1\u20134 or A\u2013D', 'Select an answer'],
+  ['Shift + A\u2013D', 'Strike out or restore a choice'],
+  ['\u2190 / \u2192', 'Previous / next question'],
+  ['F', 'Flag or unflag the question'],
+  [PAUSE_KEY, 'Pause or resume the timer'],
+  ['R', 'Next unanswered or flagged question'],
+  [CONFIDENCE_KEYS, 'Rate your confidence: guess, unsure or sure'],
+  ['Enter', 'Submit (on the last question)'],
+  ['?', 'Show or hide this list']
+];
+
+function setupKeyboard(root) {
+  document.addEventListener('keydown', (e) => {
+    // Only handle when on quiz page with a quiz in progress or in review
+    if (document.body.dataset.page !== 'quiz') return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const overlay = $('#quiz-shortcuts');
+    if (overlay) {
+      if (e.key === 'Escape' || e.key === '?') {
+        e.preventDefault();
+        closeShortcutsOverlay();
+      }
+      return;
+    }
+
+    // Leave typing and open dialogs alone
+    const target = e.target;
+    if (target && target.closest && target.closest('input, select, textarea, [contenteditable="true"], .quiz-calculator')) return;
+    if ($('[role="dialog"][aria-modal="true"]')) return;
+
+    if (!$('#quiz-question-area', root)) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const q = state.questions[state.currentIndex];
+
+    if (key === '?') {
+      e.preventDefault();
+      openShortcutsOverlay();
+      return;
+    }
+
+    if (key === 'p' && hasClock() && !state.submitted) {
+      e.preventDefault();
+      togglePause(root);
+      return;
+    }
+    // Everything else waits while the quiz is paused
+    if (state.paused) return;
+
+    const choice = key.length === 1 ? Math.max('1234'.indexOf(key), 'abcd'.indexOf(key)) : -1;
+    if (choice !== -1 && e.shiftKey) {
+      if (q && choice < q.choices.length) {
+        e.preventDefault();
+        toggleEliminated(choice, root);
+      }
+      return;
+    }
+    if (choice !== -1) {
+      if (q && choice < q.choices.length && !state.reviewMode) {
+        e.preventDefault();
+        selectAnswer(choice, root);
+      }
+      return;
+    }
+
+    switch (key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        goToQuestion(state.currentIndex - 1, root);
+        break;
+
+      case 'ArrowRight':
+        e.preventDefault();
+        if (state.currentIndex < state.count - 1) goToQuestion(state.currentIndex + 1, root);
+        break;
+
+      case 'f':
+        if (!state.submitted) {
+          e.preventDefault();
+          toggleFlag(root);
+        }
+        break;
+
+      case 'r':
+        if (!state.submitted) {
+          e.preventDefault();
+          goToNextPending(root);
+        }
+        break;
+
+      case 'g':
+      case 'u':
+      case 's':
+        if (state.rateConfidence && !state.submitted) {
+          e.preventDefault();
+          rateConfidence({ g: 'guess', u: 'unsure', s: 'sure' }[key], root);
+        }
+        break;
+
+      case 'Enter':
+        // Let focused buttons and links handle their own activation
+        if (target && target.closest && target.closest('button, a')) return;
+        if (state.currentIndex === state.count - 1 && !state.submitted) {
+          e.preventDefault();
+          confirmSubmit(root);
+        }
+        break;
+    }
+  });
+}
+
+function openShortcutsOverlay() {
+  if ($('#quiz-shortcuts')) return;
+
+  const returnFocus = document.activeElement;
+  const overlay = createEl('div', { class: 'quiz-shortcuts', id: 'quiz-shortcuts' });
+  const panel = createEl('div', {
+    class: 'quiz-shortcuts__panel',
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'quiz-shortcuts-title'
+  });
+
+  panel.appendChild(createEl('h2', { class: 'quiz-shortcuts__title', id: 'quiz-shortcuts-title', text: 'Keyboard Shortcuts' }));
+
+  const list = createEl('dl', { class: 'quiz-shortcuts__list' });
+  SHORTCUTS.filter(([keys]) => (state.rateConfidence || keys !== CONFIDENCE_KEYS) && (hasClock() || keys !== PAUSE_KEY)).forEach(([keys, action]) => {
+    list.appendChild(createEl('dt', {}, [createEl('kbd', { text: keys })]));
+    list.appendChild(createEl('dd', { text: action }));
+  });
+  panel.appendChild(list);
+
+  const closeBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Close' });
+  closeBtn.addEventListener('click', () => closeShortcutsOverlay());
+  panel.appendChild(closeBtn);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) closeShortcutsOverlay();
+  });
+
+  overlay.appendChild(panel);
+  overlay.returnFocus = returnFocus;
+  document.body.appendChild(overlay);
+  closeBtn.focus();
+}
+
+function closeShortcutsOverlay() {
+  const overlay = $('#quiz-shortcuts');
+  if (!overlay) return;
+  const returnFocus = overlay.returnFocus;
+  overlay.remove();
+  if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+}
+
 // ── Timer ────────────────────────────────────────────────────────
 
+function hasClock() {
+  return state.timed || !!TIMER_PROFILES[state.timerProfile].stopwatch || state.mode === 'drill';
+}
+
+// Exam pace gives each question the exam's own share of its time limit;
+// a simulation gets the whole limit
+function examPaceSeconds(factor) {
+  const exam = state.examMeta || {};
+  if (!exam.timeMinutes) return Math.round(state.count * 1.5 * 60 * factor);
+  if (state.mode === 'simulation' || !exam.questions) return Math.round(exam.timeMinutes * 60 * factor);
+  return Math.round(state.count * (exam.timeMinutes * 60 / exam.questions) * factor);
+}
+
 function startTimer() {
   if (state.timerInterval) clearInterval(state.timerInterval);
+  if (state.paused) return;
 
   updateTimerDisplay();
 
   state.timerInterval = setInterval(() => {
-    state.secondsLeft--;
+    state.elapsedSeconds++;
+    if (state.timed) {
+      state.secondsLeft--;
+      announceTimeLeft();
+    }
     updateTimerDisplay();
+    if (state.elapsedSeconds % CHECKPOINT_SECONDS === 0) saveSession();
 
-    if (state.secondsLeft <= 0) {
+    if (state.timed && state.secondsLeft <= 0) {
       clearInterval(state.timerInterval);
       state.timerInterval = null;
       showToast('Time is up! Submitting your quiz...', 'error');
@@ -404,15 +2404,20 @@ function startTimer() {
   }, 1000);
 }
 
+function formatClock(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
 function updateTimerDisplay() {
-  if (!state.timerRing) return;
+  const stopwatch = $('#quiz-stopwatch');
+  if (stopwatch) stopwatch.textContent = formatClock(state.elapsedSeconds);
 
-  const percent = (state.secondsLeft / state.totalSeconds) * 100;
-  const mins = Math.floor(state.secondsLeft / 60);
-  const secs = state.secondsLeft % 60;
-  const timeText = `${mins}:${secs.toString().padStart(2, '0')}`;
+  if (!state.timed || !state.timerRing) return;
 
-  state.timerRing.update(percent, timeText);
+  const percent = (state.secondsLeft / state.totalSeconds) * 100;
+  state.timerRing.update(percent, formatClock(state.secondsLeft));
 
   const timerWrap = $('#quiz-timer');
   if (timerWrap) {
@@ -422,6 +2427,15 @@ function updateTimerDisplay() {
   }
 }
 
+// Speak each TIME_WARNINGS mark as the countdown reaches it, skipping
+// marks longer than the quiz itself
+function announceTimeLeft() {
+  const minutes = TIME_WARNINGS.find(m => state.secondsLeft === m * 60);
+  if (!minutes || minutes * 60 >= state.totalSeconds) return;
+  const status = $('#quiz-timer-status');
+  if (status) status.textContent = `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} left`;
+}
+
 function stopTimer() {
   if (state.timerInterval) {
     clearInterval(state.timerInterval);
@@ -429,53 +2443,401 @@ function stopTimer() {
   }
 }
 
-// ── Submit ───────────────────────────────────────────────────────
+// Pausing stops the clock and hides the question; each pause is kept
+// with the attempt
+function togglePause(root) {
+  if (state.submitted || !hasClock()) return;
 
-function confirmSubmit(root) {
-  const unanswered = state.count - Object.keys(state.answers).length;
-  const flaggedCount = state.flagged.size;
+  if (state.paused) {
+    state.pauses.push({ at: state.elapsedSeconds, seconds: Math.round((Date.now() - state.pausedAt) / 1000) });
+    state.paused = false;
+    state.pausedAt = 0;
+    state.questionShownAt = Date.now();
+    startTimer();
+  } else {
+    logQuestionTime();
+    stopTimer();
+    state.paused = true;
+    state.pausedAt = Date.now();
+  }
+
+  const pauseBtn = $('#quiz-pause-btn', root);
+  if (pauseBtn) {
+    pauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
+    pauseBtn.setAttribute('aria-pressed', String(state.paused));
+  }
+  const status = $('#quiz-timer-status', root);
+  if (status) status.textContent = state.paused ? 'Quiz paused' : 'Quiz resumed';
+
+  setNavDisabled(root, state.paused);
+  saveSession();
+  renderQuestion(root);
+}
+
+function setNavDisabled(root, disabled) {
+  $$('.quiz-nav button, .quiz-dot', root).forEach(btn => { btn.disabled = disabled; });
+}
+
+function renderPaused(root) {
+  const area = $('#quiz-question-area', root);
+  if (!area) return;
+  area.innerHTML = '';
+
+  const resumeBtn = createEl('button', { class: 'btn btn--primary', type: 'button', text: 'Resume Quiz' });
+  resumeBtn.addEventListener('click', () => togglePause(root));
+  area.appendChild(createEl('div', { class: 'quiz-paused' }, [
+    createEl('h2', { class: 'quiz-paused__title', text: 'Quiz Paused' }),
+    createEl('p', {
+      class: 'quiz-paused__text',
+      text: `The clock is stopped${state.timed ? ` with ${formatClock(state.secondsLeft)} left` : ''}. Questions are hidden until you resume.`
+    }),
+    resumeBtn
+  ]));
+  resumeBtn.focus();
+}
+
+// ── Speed drill ──────────────────────────────────────────────────
+
+// Seconds each drill question gets; 'exam' matches the exam's own time per question
+function drillLimit(pace) {
+  if (pace !== 'exam') return parseInt(pace, 10);
+  const exam = state.examMeta || {};
+  return exam.timeMinutes && exam.questions ? Math.round((exam.timeMinutes * 60) / exam.questions) : 90;
+}
+
+function drillLeft(i) {
+  return state.drillLeft[i] ?? state.drillSeconds;
+}
+
+// Seconds a drill question was on its clock before it was answered or ran out
+function drillUsed(i) {
+  return state.drillSeconds - drillLeft(i);
+}
+
+function renderDrillClock(i) {
+  state.drillRing = createTimerRing(40);
+  const wrap = createEl('div', { class: 'quiz-drill' }, [
+    state.drillRing.svg,
+    createEl('span', {
+      class: 'quiz-drill__label',
+      text: state.timedOut.has(i) ? 'Time ran out' : `${state.drillSeconds}s per question`
+    })
+  ]);
+  updateDrillClock(i);
+  return wrap;
+}
+
+function updateDrillClock(i) {
+  if (!state.drillRing) return;
+  const left = drillLeft(i);
+  state.drillRing.update((left / state.drillSeconds) * 100, formatClock(left));
+}
+
+// Count down the question on screen while it is unanswered. Time left is
+// kept per question, so coming back to a skipped one does not reset it.
+function startDrill(root) {
+  stopDrill();
+  const i = state.currentIndex;
+  if (state.mode !== 'drill' || state.submitted || state.paused) return;
+  if (state.answers[i] !== undefined || state.timedOut.has(i)) return;
+
+  state.drillLeft[i] = drillLeft(i);
+  state.drillInterval = setInterval(() => {
+    state.drillLeft[i]--;
+    updateDrillClock(i);
+    if (state.drillLeft[i] > 0) return;
+
+    // Out of time: record the timeout and move on as if Next was pressed
+    stopDrill();
+    state.timedOut.add(i);
+    const status = $('#quiz-timer-status', root);
+    if (status) status.textContent = `Time ran out on question ${i + 1}`;
+    saveSession();
+    renderQuestion(root);
+    advance(root);
+  }, 1000);
+}
 
-  let message = 'Are you sure you want to submit your quiz?';
-  if (unanswered > 0) {
-    message += `\n\nYou have ${unanswered} unanswered question${unanswered !== 1 ? 's' : ''}.`;
+function stopDrill() {
+  if (state.drillInterval) {
+    clearInterval(state.drillInterval);
+    state.drillInterval = null;
   }
-  if (flaggedCount > 0) {
-    message += `\nYou have ${flaggedCount} flagged question${flaggedCount !== 1 ? 's' : ''} for review.`;
+}
+
+/**
+ * Average response time per topic over the drill questions that were
+ * reached. A timeout counts as the full limit.
+ */
+function computePacing() {
+  const topics = {};
+  let seconds = 0;
+  let reached = 0;
+  let timeouts = 0;
+
+  state.questions.forEach((q, i) => {
+    if (state.answers[i] === undefined && !state.timedOut.has(i)) return;
+    const topicName = q.topicName || q.topic || 'General';
+    const label = isMixed() ? `${examLabel(examOf(q))}: ${topicName}` : topicName;
+    const topic = topics[label] || (topics[label] = { seconds: 0, count: 0, timeouts: 0 });
+    const used = drillUsed(i);
+    topic.seconds += used;
+    topic.count++;
+    seconds += used;
+    reached++;
+    if (state.timedOut.has(i)) {
+      topic.timeouts++;
+      timeouts++;
+    }
+  });
+
+  return { average: reached > 0 ? seconds / reached : 0, reached, timeouts, topics };
+}
+
+function buildPacingReport() {
+  const pacing = computePacing();
+  const report = createEl('div', { class: 'quiz-pacing' });
+  report.appendChild(createEl('p', {
+    class: 'quiz-pacing__summary',
+    text: `Average response ${Math.round(pacing.average)}s against a ${state.drillSeconds}s limit. ` +
+      `${pacing.timeouts} of ${pacing.reached} question${pacing.reached !== 1 ? 's' : ''} timed out.`
+  }));
+
+  const rows = Object.entries(pacing.topics)
+    .map(([label, topic]) => ({ label, ...topic, average: topic.seconds / topic.count }))
+    .sort((a, b) => b.average - a.average);
+  if (rows.length === 0) return report;
+
+  const table = createEl('table', { class: 'quiz-pacing__table' }, [
+    createEl('thead', {}, [createEl('tr', {}, [
+      createEl('th', { scope: 'col', text: 'Topic' }),
+      createEl('th', { scope: 'col', text: 'Questions' }),
+      createEl('th', { scope: 'col', text: 'Avg time' }),
+      createEl('th', { scope: 'col', text: 'Timed out' })
+    ])])
+  ]);
+  const body = createEl('tbody');
+  rows.forEach(row => {
+    // Topics averaging most of the limit are where pacing breaks down
+    const slow = row.average >= state.drillSeconds * 0.8;
+    body.appendChild(createEl('tr', { class: slow ? 'quiz-pacing__row--slow' : '' }, [
+      createEl('td', { text: row.label }),
+      createEl('td', { text: String(row.count) }),
+      createEl('td', { text: `${Math.round(row.average)}s` }),
+      createEl('td', { text: String(row.timeouts) })
+    ]));
+  });
+  table.appendChild(body);
+  report.appendChild(table);
+  return report;
+}
+
+// ── Submit ───────────────────────────────────────────────────────
+
+// In-page review screen, modelled on the test-centre review grid: every
+// question with its status, click-through navigation and an explicit Submit
+function confirmSubmit(root) {
+  closeReviewScreen();
+  // The question countdown waits while the learner reviews
+  stopDrill();
+  state.walkthrough = null;
+
+  const answeredCount = Object.keys(state.answers).length;
+  const unansweredIdx = [];
+  const flaggedIdx = [];
+  for (let idx = 0; idx < state.count; idx++) {
+    if (state.answers[idx] === undefined) unansweredIdx.push(idx);
+    if (state.flagged.has(idx)) flaggedIdx.push(idx);
   }
 
-  if (confirm(message)) {
-    submitQuiz(root);
+  const returnFocus = document.activeElement;
+  const overlay = createEl('div', { class: 'quiz-review-screen', id: 'quiz-review-screen' });
+  const panel = createEl('div', {
+    class: 'quiz-review-screen__panel',
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'quiz-review-title',
+    'aria-describedby': 'quiz-review-summary'
+  });
+
+  panel.appendChild(createEl('h2', { class: 'quiz-review-screen__title', id: 'quiz-review-title', text: 'Review Your Answers' }));
+  panel.appendChild(createEl('p', {
+    class: 'quiz-review-screen__summary',
+    id: 'quiz-review-summary',
+    text: `${answeredCount} answered \u00b7 ${unansweredIdx.length} unanswered \u00b7 ${flaggedIdx.length} flagged`
+  }));
+
+  // Legend
+  const legend = createEl('div', { class: 'quiz-review-screen__legend', 'aria-hidden': 'true' });
+  [['answered', 'Answered'], ['unanswered', 'Unanswered'], ['flagged', 'Flagged']].forEach(([kind, label]) => {
+    legend.appendChild(createEl('span', { class: `quiz-review-legend quiz-review-legend--${kind}`, text: label }));
+  });
+  panel.appendChild(legend);
+
+  // Question grid
+  const grid = createEl('div', { class: 'quiz-review-grid', role: 'list' });
+  for (let idx = 0; idx < state.count; idx++) {
+    const answered = state.answers[idx] !== undefined;
+    const flagged = state.flagged.has(idx);
+    const status = [answered ? 'answered' : 'unanswered', flagged ? 'flagged' : ''].filter(Boolean).join(', ');
+    const cell = createEl('button', {
+      class: `quiz-review-cell ${answered ? 'answered' : 'unanswered'}${flagged ? ' flagged' : ''}`,
+      type: 'button',
+      role: 'listitem',
+      text: String(idx + 1),
+      'aria-label': `Question ${idx + 1}: ${status}`
+    });
+    cell.addEventListener('click', () => {
+      closeReviewScreen();
+      goToQuestion(idx, root);
+    });
+    grid.appendChild(cell);
   }
+  panel.appendChild(grid);
+
+  // Actions
+  const actions = createEl('div', { class: 'quiz-review-screen__actions' });
+
+  const startWalkthrough = (kind, indices) => {
+    closeReviewScreen();
+    state.walkthrough = { kind, indices };
+    goToQuestion(indices[0], root);
+  };
+
+  const flaggedBtn = createEl('button', {
+    class: 'btn btn--secondary',
+    type: 'button',
+    text: `Review Flagged (${flaggedIdx.length})`
+  });
+  flaggedBtn.disabled = flaggedIdx.length === 0;
+  flaggedBtn.addEventListener('click', () => startWalkthrough('flagged', flaggedIdx));
+
+  const unansweredBtn = createEl('button', {
+    class: 'btn btn--secondary',
+    type: 'button',
+    text: `Review Unanswered (${unansweredIdx.length})`
+  });
+  unansweredBtn.disabled = unansweredIdx.length === 0;
+  unansweredBtn.addEventListener('click', () => startWalkthrough('unanswered', unansweredIdx));
+
+  // Re-render so a finished walkthrough's "Back to Review" label resets
+  const returnToQuiz = () => {
+    closeReviewScreen();
+    renderQuestion(root);
+  };
+
+  const returnBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Return to Quiz' });
+  returnBtn.addEventListener('click', returnToQuiz);
+
+  const submitBtn = createEl('button', { class: 'btn btn--primary', type: 'button', text: 'Submit Quiz' });
+  submitBtn.addEventListener('click', () => submitQuiz(root));
+
+  actions.appendChild(flaggedBtn);
+  actions.appendChild(unansweredBtn);
+  actions.appendChild(returnBtn);
+  actions.appendChild(submitBtn);
+  panel.appendChild(actions);
+
+  // Keep focus inside the dialog; Escape returns to the quiz
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      returnToQuiz();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    const focusable = $$('button:not([disabled])', panel);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  });
+
+  overlay.appendChild(panel);
+  overlay.returnFocus = returnFocus;
+  overlay.quizRoot = root;
+  document.body.appendChild(overlay);
+  submitBtn.focus();
+}
+
+// Closing the review screen resumes the countdown of the question on screen
+function closeReviewScreen() {
+  const overlay = $('#quiz-review-screen');
+  if (!overlay) return;
+  const returnFocus = overlay.returnFocus;
+  overlay.remove();
+  if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+  startDrill(overlay.quizRoot);
 }
 
 function submitQuiz(root) {
+  closeReviewScreen();
+  logQuestionTime();
+  state.walkthrough = null;
   state.submitted = true;
   stopTimer();
+  stopDrill();
+  clearSession();
   showResults(root);
 }
 
 // ── Results ──────────────────────────────────────────────────────
 
 async function showResults(root) {
-  // Calculate score
+  // Calculate score (pretest items never count toward the result)
   let correct = 0;
+  let scoredCount = 0;
   const topicScores = {};
+  // Per exam: score plus results keyed by topic id, persisted with the attempt
+  const examResults = Object.fromEntries(state.examIds.map(id => [id, { correct: 0, total: 0, topics: {} }]));
+  const simulating = state.mode === 'simulation';
+  const mixed = isMixed();
 
   state.questions.forEach((q, i) => {
+    if (state.unscored.has(q.id)) return;
+    scoredCount++;
+
     const isCorrect = state.answers[i] === q.correct;
     if (isCorrect) correct++;
 
-    const topic = q.topicName || q.topic || 'General';
+    const examResult = examResults[examOf(q)];
+    examResult.total++;
+    if (isCorrect) examResult.correct++;
+
+    const topicName = q.topicName || q.topic || 'General';
+    const topic = mixed ? `${examLabel(examOf(q))}: ${topicName}` : topicName;
     if (!topicScores[topic]) {
       topicScores[topic] = { correct: 0, total: 0 };
     }
     topicScores[topic].total++;
     if (isCorrect) topicScores[topic].correct++;
+
+    const topicId = q.topic || 'general';
+    if (!examResult.topics[topicId]) {
+      examResult.topics[topicId] = { correct: 0, total: 0 };
+    }
+    examResult.topics[topicId].total++;
+    if (isCorrect) examResult.topics[topicId].correct++;
   });
 
-  const scorePercent = Math.round((correct / state.count) * 100);
-  const passingScore = state.examMeta ? state.examMeta.passingScore : 70;
-  const passed = scorePercent >= passingScore;
+  // Each exam is held to its own passing score; a mixed quiz passes
+  // only when every exam in it does
+  Object.entries(examResults).forEach(([id, result]) => {
+    const meta = state.examMetas[id];
+    result.passingScore = (meta && meta.passingScore) || 70;
+    result.passed = result.total > 0 && Math.round((result.correct / result.total) * 100) >= result.passingScore;
+  });
+
+  const scorePercent = scoredCount > 0 ? Math.round((correct / scoredCount) * 100) : 0;
+  const passingScore = examResults[state.examId].passingScore;
+  const passed = mixed
+    ? Object.values(examResults).every(result => result.total === 0 || result.passed)
+    : scorePercent >= passingScore;
 
   // Clear and render results
   root.innerHTML = '';
@@ -484,7 +2846,7 @@ async function showResults(root) {
   const results = createEl('div', { class: 'quiz-results' });
 
   // Title
-  results.appendChild(createEl('h2', { text: 'Quiz Complete!' }));
+  results.appendChild(createEl('h2', { text: simulating ? 'Exam Simulation Complete' : 'Quiz Complete!' }));
 
   // Animated score counter
   const scoreEl = createEl('div', {
@@ -496,14 +2858,21 @@ async function showResults(root) {
   // Pass/Fail badge
   const badge = createEl('div', {
     class: `quiz-result-label ${passed ? 'pass' : 'fail'}`,
-    text: passed ? 'PASSED' : 'NOT YET PASSING'
+    text: simulating
+      ? (passed ? 'PASS' : 'FAIL')
+      : (passed ? 'PASSED' : 'NOT YET PASSING')
   });
   results.appendChild(badge);
 
   // Score details
   const details = createEl('p', {
     class: 'quiz-result-details',
-    text: `${correct} out of ${state.count} correct (${passingScore}% needed to pass)`
+    text: simulating
+      ? `${correct} of ${scoredCount} scored questions correct. Passing score: ${passingScore}%. ` +
+        `${state.unscored.size} unscored pretest item${state.unscored.size !== 1 ? 's were' : ' was'} not counted.`
+      : mixed
+        ? `${correct} out of ${state.count} correct across ${state.examIds.length} exams (each scored against its own passing mark)`
+        : `${correct} out of ${state.count} correct (${passingScore}% needed to pass)`
   });
   details.style.cssText = 'color:var(--color-text-secondary);margin-bottom:var(--space-xl);';
   results.appendChild(details);
@@ -515,13 +2884,50 @@ async function showResults(root) {
     max: data.total
   }));
 
+  if (mixed) {
+    const examTitle = createEl('h3', { text: 'Exam Breakdown' });
+    examTitle.style.cssText = 'text-align:left;margin-bottom:var(--space-md);';
+    results.appendChild(examTitle);
+    results.appendChild(createBarChart(state.examIds
+      .filter(id => examResults[id].total > 0)
+      .map(id => ({
+        label: `${examLabel(id)} (${examResults[id].passingScore}% to pass)`,
+        value: examResults[id].correct,
+        max: examResults[id].total
+      }))));
+  }
+
   if (topicData.length > 0) {
-    const breakdownTitle = createEl('h3', { text: 'Topic Breakdown' });
+    const breakdownTitle = createEl('h3', { text: simulating ? 'Performance by Section' : 'Topic Breakdown' });
     breakdownTitle.style.cssText = 'text-align:left;margin-bottom:var(--space-md);';
     results.appendChild(breakdownTitle);
     results.appendChild(createBarChart(topicData));
   }
 
+  if (state.mode === 'drill') {
+    const pacingTitle = createEl('h3', { text: 'Pacing by Topic' });
+    pacingTitle.style.cssText = 'text-align:left;margin:var(--space-xl) 0 var(--space-md);';
+    results.appendChild(pacingTitle);
+    results.appendChild(buildPacingReport());
+  }
+
+  // Confidence calibration (scored, answered questions only)
+  const calibration = computeCalibration(state.questions
+    .map((q, i) => ({ q, i }))
+    .filter(({ q, i }) => state.answers[i] !== undefined && !state.unscored.has(q.id))
+    .map(({ q, i }) => ({ confidence: state.confidence[i], correct: state.answers[i] === q.correct, topic: q.topic })));
+
+  if (calibration.rated > 0) {
+    const topicNames = new Map(state.questions.map(q => [
+      q.topic,
+      mixed ? `${examLabel(examOf(q))}: ${q.topicName || q.topic}` : q.topicName || q.topic
+    ]));
+    const calibrationTitle = createEl('h3', { text: 'Confidence Calibration' });
+    calibrationTitle.style.cssText = 'text-align:left;margin:var(--space-xl) 0 var(--space-md);';
+    results.appendChild(calibrationTitle);
+    results.appendChild(createCalibrationReport(calibration, id => topicNames.get(id) || id));
+  }
+
   // Action buttons
   const actions = createEl('div', { class: 'quiz-nav' });
   actions.style.cssText = 'margin-top:var(--space-2xl);justify-content:center;gap:var(--space-md);flex-wrap:wrap;';
@@ -546,16 +2952,29 @@ async function showResults(root) {
     // Reset state and re-start
     state.answers = {};
     state.flagged = new Set();
+    state.timeSpent = {};
+    state.confidence = {};
+    state.eliminated = {};
+    state.highlights = {};
+    state.calculator.values = {};
     state.currentIndex = 0;
     state.submitted = false;
+    state.recorded = false;
     state.reviewMode = false;
-    if (state.timed) {
-      state.secondsLeft = state.totalSeconds;
-    }
-    // Re-shuffle
+    state.walkthrough = null;
+    state.secondsLeft = state.totalSeconds;
+    state.elapsedSeconds = 0;
+    state.paused = false;
+    state.pausedAt = 0;
+    state.pauses = [];
+    state.paper = false;
+    state.drillLeft = {};
+    state.timedOut = new Set();
+    // Re-shuffle; the new order no longer matches the shared seed
     state.questions = shuffleArray(state.questions);
+    state.seed = null;
     renderQuiz(root);
-    if (state.timed) startTimer();
+    saveSession();
   });
 
   const backBtn = createEl('a', {
@@ -571,17 +2990,65 @@ async function showResults(root) {
   actions.appendChild(backBtn);
   results.appendChild(actions);
 
+  if (state.seed) {
+    results.appendChild(buildSharePanel(root));
+  }
+
   root.appendChild(results);
 
   // Animate score counter (count up from 0)
   animateScoreCounter(scoreEl, scorePercent);
 
-  // Save score via dynamic import
-  try {
-    const { saveQuizScore } = await import('./progress.js');
-    saveQuizScore(state.examId, correct, state.count, passed);
-  } catch (err) {
-    console.error('Failed to save quiz score:', err);
+  // Save score and per-question history via dynamic import. Returning to
+  // the results from review mode must not record the attempt twice.
+  if (!state.recorded) {
+    state.recorded = true;
+    try {
+      const { saveQuizScore, recordQuestionHistory } = await import('./progress.js');
+      // Answers are stored as original choice indices; `order` lets the
+      // attempt be re-opened with the same shuffled arrangement
+      const questions = state.questions.map((q, i) => {
+        const entry = {
+          id: q.id,
+          choice: state.answers[i] === undefined ? null : toOriginalChoice(q, state.answers[i]),
+          correct: state.answers[i] === q.correct,
+          flagged: state.flagged.has(i),
+          seconds: Math.round((state.timeSpent[i] || 0) / 1000)
+        };
+        if (q.topic) entry.topic = q.topic;
+        if (state.confidence[i]) entry.confidence = state.confidence[i];
+        if (q.choiceOrder) entry.order = q.choiceOrder;
+        if (q.params) entry.params = q.params;
+        if (state.unscored.has(q.id)) entry.unscored = true;
+        if (state.timedOut.has(i)) entry.timedOut = true;
+        if (state.mode === 'drill') entry.drillUsed = drillUsed(i);
+        return entry;
+      });
+      // A mixed quiz is saved as one attempt per contributing exam
+      state.examIds.forEach(examId => {
+        const own = questions.filter((_, i) => examOf(state.questions[i]) === examId);
+        if (own.length === 0) return;
+        const result = examResults[examId];
+        const details = {
+          mode: state.mode,
+          timed: state.timed,
+          timer: state.timerProfile,
+          seed: state.seed,
+          topicFilter: state.topics,
+          duration: own.reduce((sum, entry) => sum + entry.seconds, 0),
+          topics: result.topics,
+          questions: own
+        };
+        if (mixed) details.mixedWith = state.examIds.filter(id => id !== examId);
+        if (state.pauses.length > 0) details.pauses = state.pauses;
+        if (state.paper) details.paper = true;
+        if (state.mode === 'drill') details.drillSeconds = state.drillSeconds;
+        recordQuestionHistory(examId, own);
+        saveQuizScore(examId, result.correct, result.total, result.passed, details);
+      });
+    } catch (err) {
+      console.error('Failed to save quiz score:', err);
+    }
   }
 
   // Confetti if passed
@@ -595,6 +3062,172 @@ async function showResults(root) {
   }
 }
 
+// ── Sharing and comparison ───────────────────────────────────────
+
+function buildShareUrl() {
+  const params = new URLSearchParams({ exam: state.examIds.join(','), mode: state.mode, seed: state.seed });
+  if (state.mix.some(w => w !== state.mix[0])) params.set('mix', state.mix.join(','));
+  if (state.mode !== 'simulation') {
+    params.set('count', state.count);
+    if (state.topics.length > 0) params.set('topics', state.topics.join(','));
+  }
+  if (state.timerProfile !== 'untimed') params.set('timer', state.timerProfile);
+  if (state.shuffleChoices) params.set('shuffle', 'true');
+  return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+// A result code is base64 JSON so it survives chat apps that mangle quotes
+function encodeResult() {
+  return btoa(JSON.stringify({
+    v: 1,
+    exam: state.examIds.join(','),
+    seed: state.seed,
+    answers: state.questions.map((q, i) => [q.id, state.answers[i] === undefined ? null : toOriginalChoice(q, state.answers[i])])
+  }));
+}
+
+function decodeResult(code) {
+  try {
+    const data = JSON.parse(atob(code.replace(/\s+/g, '')));
+    if (!data || data.v !== 1 || !Array.isArray(data.answers)) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function buildSharePanel(root) {
+  const panel = createEl('section', { class: 'quiz-share', 'aria-labelledby': 'quiz-share-title' });
+  panel.appendChild(createEl('h3', { class: 'quiz-share__title', id: 'quiz-share-title', text: 'Compare With a Friend' }));
+  panel.appendChild(createEl('p', {
+    class: 'quiz-share__text',
+    text: 'Send the quiz link so a friend gets the same questions in the same order, then swap result codes to compare answers.'
+  }));
+
+  const fallback = createEl('input', { class: 'quiz-share__fallback', type: 'text', readonly: '', 'aria-label': 'Copy this text' });
+  fallback.hidden = true;
+
+  const copyWithFallback = async (text, message) => {
+    if (await copyText(text)) {
+      fallback.hidden = true;
+      showToast(message, 'success');
+    } else {
+      // Clipboard access denied - let the learner copy it by hand
+      fallback.value = text;
+      fallback.hidden = false;
+      fallback.focus();
+      fallback.select();
+    }
+  };
+
+  const buttons = createEl('div', { class: 'quiz-share__actions' });
+  const linkBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Share This Exact Quiz' });
+  linkBtn.addEventListener('click', () => copyWithFallback(buildShareUrl(), 'Quiz link copied'));
+  const codeBtn = createEl('button', { class: 'btn btn--secondary', type: 'button', text: 'Copy My Result Code' });
+  codeBtn.addEventListener('click', () => copyWithFallback(encodeResult(), 'Result code copied'));
+  buttons.appendChild(linkBtn);
+  buttons.appendChild(codeBtn);
+  panel.appendChild(buttons);
+  panel.appendChild(fallback);
+
+  const input = createEl('textarea', {
+    class: 'quiz-share__input',
+    id: 'quiz-compare-input',
+    rows: '3',
+    placeholder: "Paste a friend's result code"
+  });
+  panel.appendChild(createEl('label', { class: 'sr-only', for: 'quiz-compare-input', text: "Friend's result code" }));
+  panel.appendChild(input);
+
+  const output = createEl('div', { class: 'quiz-compare', 'aria-live': 'polite' });
+  const compareBtn = createEl('button', { class: 'btn btn--primary', type: 'button', text: 'Compare' });
+  compareBtn.addEventListener('click', () => renderComparison(output, decodeResult(input.value), root));
+  panel.appendChild(createEl('div', { class: 'quiz-share__actions' }, [compareBtn]));
+  panel.appendChild(output);
+
+  return panel;
+}
+
+function renderComparison(output, friend, root) {
+  output.innerHTML = '';
+
+  const theirs = friend ? new Map(friend.answers) : null;
+  if (!friend || friend.exam !== state.examIds.join(',') || friend.seed !== state.seed
+      || !state.questions.every(q => theirs.has(q.id))) {
+    output.appendChild(createEl('p', {
+      class: 'quiz-compare__error',
+      text: friend
+        ? 'That result is from a different quiz. Both of you need to take the same shared link.'
+        : 'That does not look like a result code.'
+    }));
+    return;
+  }
+
+  const letter = (q, original) => {
+    if (original === null || original === undefined) return '\u2014';
+    const shown = q.choiceOrder ? q.choiceOrder.indexOf(original) : original;
+    return LETTERS[shown] || '?';
+  };
+
+  let agreed = 0;
+  let mine = 0;
+  let friends = 0;
+  let scored = 0;
+  const rows = state.questions.map((q, i) => {
+    const myChoice = state.answers[i] === undefined ? null : toOriginalChoice(q, state.answers[i]);
+    const theirChoice = theirs.get(q.id);
+    const answer = toOriginalChoice(q, q.correct);
+    const same = myChoice === theirChoice;
+    if (same) agreed++;
+    if (!state.unscored.has(q.id)) {
+      scored++;
+      if (myChoice === answer) mine++;
+      if (theirChoice === answer) friends++;
+    }
+
+    const jump = createEl('button', {
+      class: 'quiz-compare__jump',
+      type: 'button',
+      text: String(i + 1),
+      'aria-label': `Review question ${i + 1}`
+    });
+    jump.addEventListener('click', () => {
+      state.reviewMode = true;
+      state.currentIndex = i;
+      renderQuiz(root);
+    });
+
+    return createEl('tr', { class: same ? 'agree' : 'disagree' }, [
+      createEl('td', {}, [jump]),
+      createEl('td', { text: letter(q, myChoice) }),
+      createEl('td', { text: letter(q, theirChoice) }),
+      createEl('td', { text: letter(q, answer) })
+    ]);
+  });
+
+  output.appendChild(createEl('p', {
+    class: 'quiz-compare__summary',
+    text: `You ${mine}/${scored} \u00b7 Friend ${friends}/${scored} \u00b7 Same answer on ${agreed} of ${state.count} questions`
+  }));
+
+  const table = createEl('table', { class: 'quiz-compare__table' }, [
+    createEl('thead', {}, [
+      createEl('tr', {}, ['#', 'You', 'Friend', 'Answer'].map(col => createEl('th', { scope: 'col', text: col })))
+    ]),
+    createEl('tbody', {}, rows)
+  ]);
+  output.appendChild(table);
+}
+
 // ── Score animation ──────────────────────────────────────────────
 
 function animateScoreCounter(el, target) {
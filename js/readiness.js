@@ -0,0 +1,199 @@
+// Exam readiness - combines quiz results and study activity into one estimate
+import { createEl } from './utils.js';
+
+const RECENT_WINDOW = 10; // most recent scored attempts considered
+const HALF_LIFE = 3;      // attempts back at which an attempt counts half as much
+const Z_95 = 1.96;
+const UNKNOWN_TOPIC_SPREAD = 0.25; // extra uncertainty per unit weight of untested topics
+const GUESS_RATE = 0.25;  // accuracy from guessing on four choices
+const SAFETY_MARGIN = 0.1; // accuracy above the passing score that counts as fully ready
+
+// Share of the readiness score each signal contributes. Signals with
+// nothing to measure (e.g. an exam without lessons) are left out and the
+// rest re-weighted.
+const COMPONENTS = [
+  { id: 'quiz', label: 'Quiz performance', weight: 0.6 },
+  { id: 'coverage', label: 'Question bank seen', weight: 0.15 },
+  { id: 'chapters', label: 'Lesson chapters completed', weight: 0.15 },
+  { id: 'flashcards', label: 'Flashcard mastery', weight: 0.1 }
+];
+
+const MAX_BOX = 5;
+
+// Quiz modes whose draw stands in for the exam. Review pools are mostly
+// questions already missed or flagged, and drill timeouts score as wrong.
+const EXAM_MODES = ['practice', 'simulation', 'adaptive'];
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * Recency-weighted accuracy per topic from recent EXAM_MODES attempts
+ * (and older ones saved without a mode).
+ * Each attempt counts half as much as one HALF_LIFE attempts newer.
+ * Attempts saved without a topic breakdown only feed `overall`.
+ */
+function weightedAccuracy(attempts) {
+  const scored = attempts
+    .filter(a => (!a.mode || EXAM_MODES.includes(a.mode)) && a.total > 0)
+    .slice(-RECENT_WINDOW);
+  const topics = {};
+  const overall = { correct: 0, total: 0 };
+
+  scored.forEach((attempt, k) => {
+    const w = 0.5 ** ((scored.length - 1 - k) / HALF_LIFE);
+    overall.correct += w * attempt.score;
+    overall.total += w * attempt.total;
+    Object.entries(attempt.topics || {}).forEach(([id, result]) => {
+      if (!result || !result.total) return;
+      const topic = topics[id] || (topics[id] = { correct: 0, total: 0 });
+      topic.correct += w * result.correct;
+      topic.total += w * result.total;
+    });
+  });
+
+  return { attempts: scored.length, topics, overall };
+}
+
+/**
+ * Estimate readiness for one exam. `inputs`:
+ *   exam          exams.json entry (topics with weights, passingScore)
+ *   attempts      the exam's quizScores
+ *   seen, bankSize          questions answered at least once / in the bank
+ *   chaptersDone, chapterCount
+ *   boxes, deckSize         mastery box (1-5) of each reviewed flashcard / cards in the deck
+ * Returns { score, low, high, passChance, accuracy, attempts, components, topics }
+ * with percentages 0-100; `passChance` and `accuracy` are null before any quiz.
+ */
+export function computeReadiness(inputs) {
+  const { exam = {}, attempts = [], seen = 0, bankSize = 0, chaptersDone = 0, chapterCount = 0, boxes = [], deckSize = 0 } = inputs;
+  // Two-part exams list a passing score per part; hold every part to the higher bar
+  const passing = exam.passingScore || Math.max(0, ...(exam.parts || []).map(part => part.passingScore || 0)) || 70;
+  const pass = passing / 100;
+  const examTopics = Array.isArray(exam.topics) ? exam.topics : [];
+  const recent = weightedAccuracy(attempts);
+
+  // Exam-weighted accuracy over the topics that have been tested
+  const topics = examTopics.map(topic => {
+    const result = recent.topics[topic.id];
+    return {
+      id: topic.id,
+      name: topic.name,
+      weight: topic.weight || 0,
+      accuracy: result ? result.correct / result.total : null,
+      answered: result ? result.total : 0
+    };
+  });
+  const tested = topics.filter(t => t.accuracy !== null && t.weight > 0);
+  const totalWeight = topics.reduce((sum, t) => sum + t.weight, 0);
+  const testedWeight = tested.reduce((sum, t) => sum + t.weight, 0);
+
+  let accuracy = null;
+  let spread = 0;
+  if (testedWeight > 0) {
+    accuracy = tested.reduce((sum, t) => sum + t.weight * t.accuracy, 0) / testedWeight;
+  } else if (recent.overall.total > 0) {
+    accuracy = recent.overall.correct / recent.overall.total;
+  }
+  if (accuracy !== null) {
+    // Binomial standard error on the effective (recency-weighted) sample,
+    // widened for topics no quiz has covered yet
+    const p = Math.min(0.95, Math.max(0.05, accuracy));
+    const untested = totalWeight > 0 ? 1 - testedWeight / totalWeight : 0;
+    spread = Math.sqrt((p * (1 - p)) / recent.overall.total + (untested * UNKNOWN_TOPIC_SPREAD) ** 2);
+  }
+
+  // Quiz accuracy scaled from guessing (0) to comfortably above passing (1)
+  const quizScale = value => clamp01((value - GUESS_RATE) / (pass + SAFETY_MARGIN - GUESS_RATE));
+  const measured = {
+    quiz: accuracy === null ? 0 : quizScale(accuracy),
+    coverage: bankSize > 0 ? clamp01(seen / bankSize) : null,
+    chapters: chapterCount > 0 ? clamp01(chaptersDone / chapterCount) : null,
+    flashcards: deckSize > 0 ? clamp01(boxes.reduce((sum, box) => sum + box, 0) / (deckSize * MAX_BOX)) : null
+  };
+  const quizRange = accuracy === null
+    ? [0, 1]
+    : [quizScale(accuracy - Z_95 * spread), quizScale(accuracy + Z_95 * spread)];
+
+  const active = COMPONENTS.filter(c => measured[c.id] !== null);
+  const activeWeight = active.reduce((sum, c) => sum + c.weight, 0);
+  const combine = quizValue => Math.round(100 * active.reduce(
+    (sum, c) => sum + c.weight * (c.id === 'quiz' ? quizValue : measured[c.id]), 0
+  ) / activeWeight);
+
+  return {
+    score: combine(measured.quiz),
+    low: combine(quizRange[0]),
+    high: combine(quizRange[1]),
+    passChance: accuracy === null ? null : Math.round(100 * normalCdf((accuracy - pass) / Math.max(spread, 0.01))),
+    accuracy: accuracy === null ? null : Math.round(accuracy * 100),
+    attempts: recent.attempts,
+    components: active.map(c => ({ id: c.id, label: c.label, value: Math.round(measured[c.id] * 100) })),
+    topics
+  };
+}
+
+function verdict(readiness) {
+  if (readiness.attempts === 0) return 'Take a few practice quizzes to get a pass estimate.';
+  if (readiness.low >= 80) return 'You look ready to book the exam.';
+  if (readiness.score >= 70) return 'Getting close. Shore up your weakest topic before booking.';
+  return 'Keep studying before you book the exam.';
+}
+
+/**
+ * Build the readiness panel: score with its 95% band, pass chance, the
+ * weakest tested topic and the contributing signals.
+ */
+export function createReadinessCard(readiness, title = 'Exam Readiness') {
+  const card = createEl('div', { class: 'readiness' }, [
+    createEl('h3', { class: 'readiness__title', text: title })
+  ]);
+
+  card.appendChild(createEl('div', { class: 'readiness__score' }, [
+    createEl('span', { class: 'readiness__value', text: `${readiness.score}%` }),
+    createEl('span', { class: 'readiness__range', text: `likely ${readiness.low}\u2013${readiness.high}%` })
+  ]));
+
+  // Band bar: shaded range with a marker at the estimate
+  const band = createEl('div', { class: 'readiness__band', 'aria-hidden': 'true' }, [
+    createEl('span', { class: 'readiness__band-range', style: `left:${readiness.low}%;width:${readiness.high - readiness.low}%;` }),
+    createEl('span', { class: 'readiness__band-marker', style: `left:${readiness.score}%;` })
+  ]);
+  card.appendChild(band);
+
+  card.appendChild(createEl('p', {
+    class: 'readiness__pass',
+    text: readiness.passChance === null
+      ? 'Pass chance: not enough quiz data yet'
+      : `Estimated pass chance: ${readiness.passChance}% (recent accuracy ${readiness.accuracy}%)`
+  }));
+  card.appendChild(createEl('p', { class: 'readiness__verdict', text: verdict(readiness) }));
+
+  const weakest = readiness.topics
+    .filter(t => t.accuracy !== null)
+    .sort((a, b) => a.accuracy - b.accuracy)[0];
+  if (weakest) {
+    card.appendChild(createEl('p', {
+      class: 'readiness__weakest',
+      text: `Weakest topic: ${weakest.name} (${Math.round(weakest.accuracy * 100)}%, ${weakest.weight}% of the exam)`
+    }));
+  }
+
+  const list = createEl('ul', { class: 'readiness__components' });
+  readiness.components.forEach(component => {
+    list.appendChild(createEl('li', { class: 'readiness__component' }, [
+      createEl('span', { text: component.label }),
+      createEl('span', { class: 'readiness__component-value', text: `${component.value}%` })
+    ]));
+  });
+  card.appendChild(list);
+
+  return card;
+}
@@ -0,0 +1,100 @@
+// Typed-answer checking for flashcards - keyword and fuzzy word matching
+
+const STOPWORDS = new Set((
+  'a an and are as at be by can does for from has have if in into is it its ' +
+  'not of on or so than that the their them then there these they this to ' +
+  'was were what when which who will with'
+).split(' '));
+
+// Key terms a typed answer needs for full marks; card backs often run to a
+// paragraph and nobody types all of it
+const KEY_TERMS_TARGET = 6;
+const MIN_PREFIX = 6; // shared prefix that counts as the same word (security / securities)
+
+function tokenize(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .map(word => ({ text: word, norm: word.toLowerCase().replace(/[^a-z0-9%$]/g, '') }))
+    .filter(word => word.norm);
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Same word allowing for typos and plural or tense endings; numbers must match exactly
+function similar(a, b) {
+  if (a === b) return true;
+  if (/\d/.test(a) || /\d/.test(b)) return false;
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 4) return false;
+  if (shorter >= MIN_PREFIX && a.slice(0, MIN_PREFIX) === b.slice(0, MIN_PREFIX)) return true;
+  return editDistance(a, b) <= (shorter > 7 ? 2 : 1);
+}
+
+// Word-level diff of the typed answer against the card, as runs of
+// { type: 'same' | 'missing' | 'extra', text }
+function diffWords(typed, answer) {
+  const lcs = Array.from({ length: typed.length + 1 }, () => new Array(answer.length + 1).fill(0));
+  for (let i = typed.length - 1; i >= 0; i--) {
+    for (let j = answer.length - 1; j >= 0; j--) {
+      lcs[i][j] = similar(typed[i].norm, answer[j].norm)
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += ` ${text}`;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < typed.length || j < answer.length) {
+    if (i < typed.length && j < answer.length && similar(typed[i].norm, answer[j].norm)) {
+      push('same', answer[j].text);
+      i++;
+      j++;
+    } else if (j < answer.length && (i >= typed.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      push('missing', answer[j++].text);
+    } else {
+      push('extra', typed[i++].text);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Compare a typed answer with the card's answer. Returns
+ * { score (0-1), matched, target, verdict: { label, grade }, diff } where
+ * `grade` is the suggested self-grade and `diff` feeds the diff view.
+ */
+export function compareAnswer(typed, answer) {
+  const typedWords = tokenize(typed);
+  const answerWords = tokenize(answer);
+  const keywords = [...new Set(answerWords.map(w => w.norm).filter(w => !STOPWORDS.has(w)))];
+  const typedKeys = typedWords.map(w => w.norm).filter(w => !STOPWORDS.has(w));
+
+  const matched = keywords.filter(k => typedKeys.some(w => similar(w, k))).length;
+  const target = Math.min(keywords.length, KEY_TERMS_TARGET);
+  const score = target > 0
+    ? Math.min(1, matched / target)
+    : Number(typedWords.map(w => w.norm).join(' ') === answerWords.map(w => w.norm).join(' '));
+
+  let verdict;
+  if (score >= 0.8) verdict = { label: 'Looks right', grade: 'good' };
+  else if (score >= 0.4) verdict = { label: 'Partly right', grade: 'hard' };
+  else verdict = { label: 'Not quite', grade: 'again' };
+
+  return { score, matched, target, verdict, diff: diffWords(typedWords, answerWords) };
+}
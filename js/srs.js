@@ -0,0 +1,233 @@
+// Flashcard scheduling - graded spaced repetition (SM-2) with Leitner boxes
+// kept as an option. Card state lives in localStorage under lf_flashcards.
+
+const STORAGE_KEY = 'lf_flashcards';
+const SETTINGS_KEY = 'lf_flashcard_settings';
+const SCHEMA_VERSION = 2; // 1 stored Leitner { box, nextReview } only
+
+// Days until the next review for each Leitner box; also the stability
+// thresholds that map a graded card onto the 1-5 mastery scale
+export const BOX_INTERVALS = { 1: 0, 2: 2, 3: 4, 4: 7, 5: 14 };
+
+export const GRADES = [
+  { id: 'again', label: 'Again', key: '1' },
+  { id: 'hard', label: 'Hard', key: '2' },
+  { id: 'good', label: 'Good', key: '3' },
+  { id: 'easy', label: 'Easy', key: '4' }
+];
+
+export const SCHEDULERS = [
+  { id: 'sm2', label: 'Graded: Again / Hard / Good / Easy' },
+  { id: 'leitner', label: 'Leitner boxes: Know It / Still Learning' }
+];
+const DEFAULT_SCHEDULER = 'sm2';
+
+// Which side is shown first; each direction is scheduled separately
+export const DIRECTIONS = [
+  { id: 'forward', label: 'Front to back' },
+  { id: 'reverse', label: 'Back to front' }
+];
+
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL = 365;  // days
+const HARD_FACTOR = 1.2;   // interval growth on a hard recall
+const EASY_BONUS = 1.3;    // extra growth on an easy recall
+
+// ── Dates ──
+
+export function todayISO() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function addDays(dateStr, days) {
+  const d = new Date(dateStr);
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+// ── Storage ──
+
+function loadSettings() {
+  try {
+    const raw = localStorage.getItem(SETTINGS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch { /* quota exceeded - silently fail */ }
+}
+
+export function getScheduler() {
+  const { scheduler } = loadSettings();
+  return SCHEDULERS.some(s => s.id === scheduler) ? scheduler : DEFAULT_SCHEDULER;
+}
+
+export function setScheduler(id) {
+  if (!SCHEDULERS.some(s => s.id === id)) return;
+  saveSettings({ ...loadSettings(), scheduler: id });
+}
+
+/** Study preferences: `direction` (a DIRECTIONS id) and `typed` recall. */
+export function getStudyMode() {
+  const { direction, typed } = loadSettings();
+  return { direction: direction === 'reverse' ? 'reverse' : 'forward', typed: Boolean(typed) };
+}
+
+export function setStudyMode({ direction, typed }) {
+  saveSettings({ ...loadSettings(), direction, typed: Boolean(typed) });
+}
+
+// Storage key for a card studied in `direction`; forward keeps the bare id
+export function stateKey(cardId, direction) {
+  return direction === 'reverse' ? `${cardId}:reverse` : cardId;
+}
+
+/**
+ * Read every card's state. Stores written before graded scheduling only
+ * hold Leitner boxes; those are upgraded once, in place.
+ */
+export function loadCardStates() {
+  let states;
+  try {
+    states = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    states = {};
+  }
+
+  const settings = loadSettings();
+  if ((settings.version || 1) < SCHEMA_VERSION) {
+    Object.keys(states).forEach(id => { states[id] = migrateLeitnerCard(states[id]); });
+    saveCardStates(states);
+    saveSettings({ ...settings, version: SCHEMA_VERSION });
+  }
+  return states;
+}
+
+export function saveCardStates(states) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(states));
+  } catch { /* quota exceeded - silently fail */ }
+}
+
+/**
+ * Seed graded fields from a Leitner box: the box interval becomes the
+ * card's stability and each box climbed counts as a successful review.
+ */
+function migrateLeitnerCard(card) {
+  if (!card || typeof card !== 'object') return newCard(todayISO());
+  if (card.ease) return card;
+  const box = Math.min(5, Math.max(1, parseInt(card.box, 10) || 1));
+  return {
+    box,
+    nextReview: card.nextReview || todayISO(),
+    ease: START_EASE,
+    stability: BOX_INTERVALS[box],
+    reps: box - 1,
+    lapses: 0
+  };
+}
+
+// Drop the stored state of cards that no longer exist, in both directions
+export function deleteCardStates(cardIds) {
+  const states = loadCardStates();
+  cardIds.forEach(id => {
+    DIRECTIONS.forEach(({ id: dir }) => { delete states[stateKey(id, dir)]; });
+  });
+  saveCardStates(states);
+}
+
+export function newCard(today) {
+  return { box: 1, nextReview: today, ease: START_EASE, stability: 0, reps: 0, lapses: 0 };
+}
+
+/**
+ * Mastery box (1-5) of each card in `cardIds` that has been reviewed
+ * front to back.
+ * Used by the readiness estimate on exam pages and the dashboard.
+ */
+export function getCardBoxes(cardIds) {
+  const states = loadCardStates();
+  return cardIds.map(id => states[id]?.box).filter(Boolean);
+}
+
+// ── Scheduling ──
+
+// Highest box whose interval the card's stability has reached
+function masteryBox(stability) {
+  let box = 1;
+  Object.entries(BOX_INTERVALS).forEach(([b, days]) => {
+    if (stability >= days) box = Number(b);
+  });
+  return box;
+}
+
+function scheduleSm2(card, grade, today) {
+  const next = { ...card, ease: card.ease || START_EASE, reps: card.reps || 0, lapses: card.lapses || 0, lastReview: today };
+  const previous = card.stability || 0;
+
+  if (grade === 'again') {
+    next.lapses++;
+    next.reps = 0;
+    next.ease = Math.max(MIN_EASE, next.ease - 0.2);
+    next.stability = 0;
+  } else {
+    // First reviews step 1 then 6 days; after that the interval grows by ease
+    const good = next.reps === 0 ? 1 : next.reps === 1 ? 6 : previous * next.ease;
+    let interval = good;
+    if (grade === 'hard') {
+      next.ease = Math.max(MIN_EASE, next.ease - 0.15);
+      interval = next.reps === 0 ? 1 : Math.max(previous + 1, previous * HARD_FACTOR);
+    } else if (grade === 'easy') {
+      next.ease += 0.15;
+      interval = next.reps === 0 ? 4 : good * EASY_BONUS;
+    }
+    next.reps++;
+    next.stability = Math.min(MAX_INTERVAL, Math.round(interval));
+  }
+
+  next.ease = Math.round(next.ease * 100) / 100;
+  next.box = masteryBox(next.stability);
+  next.nextReview = addDays(today, next.stability);
+  return next;
+}
+
+// Again drops to box 1, Hard stays, Good climbs one box and Easy two
+function scheduleLeitner(card, grade, today) {
+  const current = card.box || 1;
+  const box = grade === 'again' ? 1
+    : grade === 'hard' ? current
+      : Math.min(5, current + (grade === 'easy' ? 2 : 1));
+  return {
+    ...card,
+    box,
+    stability: BOX_INTERVALS[box],
+    reps: grade === 'again' ? 0 : (card.reps || 0) + 1,
+    lapses: (card.lapses || 0) + (grade === 'again' ? 1 : 0),
+    lastReview: today,
+    nextReview: addDays(today, BOX_INTERVALS[box])
+  };
+}
+
+/**
+ * Return the card's state after answering with `grade` (a GRADES id)
+ * under `scheduler` (a SCHEDULERS id).
+ */
+export function scheduleCard(card, grade, scheduler, today = todayISO()) {
+  return scheduler === 'leitner'
+    ? scheduleLeitner(card, grade, today)
+    : scheduleSm2(card, grade, today);
+}
+
+// Short label for the wait a grade would give, e.g. "6d" or "2mo"
+export function formatInterval(days) {
+  if (days < 1) return 'today';
+  if (days < 30) return `${days}d`;
+  if (days < 365) return `${Math.round(days / 30)}mo`;
+  return `${Math.round((days / 365) * 10) / 10}y`;
+}
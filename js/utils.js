@@ -14,16 +14,34 @@ export async function fetchJSON(url) {
   }
 }
 
-// Fisher-Yates shuffle
-export function shuffleArray(arr) {
+// Fisher-Yates shuffle; pass a seeded `random` for a reproducible order
+export function shuffleArray(arr, random = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
 }
 
+// Seeded PRNG: hashes the seed string, then runs mulberry32. Returns a
+// Math.random-compatible function yielding the same sequence per seed
+export function seededRandom(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let a = h >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // Format date
 export function formatDate(iso) {
   const d = new Date(iso);
@@ -78,6 +96,17 @@ export function showToast(message, type = 'default') {
   }, 3000);
 }
 
+// Exams whose lesson pages and data files use a different id than exams.json
+const DATA_IDS = {
+  series86: 'series86-87',
+  series9_10: 'series9-10'
+};
+
+// Id of an exam's question bank, flashcard deck and lesson pages
+export function dataFileId(examId) {
+  return DATA_IDS[examId] || examId;
+}
+
 // Get base path for data files
 export function getBasePath() {
   // Derive root from the module's own URL — works on GitHub Pages and local servers
@@ -1,13 +1,17 @@
 #!/usr/bin/env node
 /**
  * Validates all quiz JSON files against the exams.json schema.
+ * Template items ("type": "template") are checked and sample-instantiated
+ * with the same formulas the quiz uses.
  * Usage: node scripts/validate-quizzes.js [--fix-ids]
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 const ROOT = path.resolve(__dirname, '..');
+const { isTemplate, validateTemplate } = loadCalculations();
 const QUIZZES_DIR = path.join(ROOT, 'data', 'quizzes');
 const EXAMS_FILE = path.join(ROOT, 'data', 'exams.json');
 const TARGET_COUNT = 300;
@@ -43,12 +47,13 @@ for (const file of files) {
     continue;
   }
 
-  // 2. Count
-  if (questions.length !== TARGET_COUNT) {
-    if (questions.length < TARGET_COUNT) {
-      errors.push(`Has ${questions.length} questions, need ${TARGET_COUNT}`);
+  // 2. Count (templates are extra and don't count toward the target)
+  const fixedCount = questions.filter(q => !isTemplate(q)).length;
+  if (fixedCount !== TARGET_COUNT) {
+    if (fixedCount < TARGET_COUNT) {
+      errors.push(`Has ${fixedCount} questions, need ${TARGET_COUNT}`);
     } else {
-      errors.push(`Has ${questions.length} questions, expected ${TARGET_COUNT}`);
+      errors.push(`Has ${fixedCount} questions, expected ${TARGET_COUNT}`);
     }
   }
 
@@ -61,12 +66,20 @@ for (const file of files) {
     const prefix = `q[${idx}]`;
 
     // Required fields
-    for (const field of ['id', 'topic', 'topicName', 'question', 'choices', 'correct', 'explanation']) {
+    const required = isTemplate(q)
+      ? ['id', 'topic', 'topicName', 'question', 'variables', 'formula', 'distractors', 'explanation']
+      : ['id', 'topic', 'topicName', 'question', 'choices', 'correct', 'explanation'];
+    for (const field of required) {
       if (q[field] === undefined || q[field] === null) {
         errors.push(`${prefix}: missing field "${field}"`);
       }
     }
 
+    // Template structure and sample instantiations
+    if (isTemplate(q) && typeof q.question === 'string') {
+      validateTemplate(q).forEach(problem => errors.push(`${prefix}: template ${problem}`));
+    }
+
     // ID format and uniqueness
     if (q.id) {
       if (ids.has(q.id)) {
@@ -117,7 +130,7 @@ for (const file of files) {
     }
 
     // Topic tracking
-    if (q.topic) {
+    if (q.topic && !isTemplate(q)) {
       topicCounts[q.topic] = (topicCounts[q.topic] || 0) + 1;
     }
   });
@@ -162,6 +175,22 @@ if (totalErrors > 0) {
   process.exit(1);
 }
 
+/**
+ * js/calculations.js is an ES module shared with the browser. Run it in a
+ * sandbox with its `export` keywords dropped, so this script works on
+ * Node versions that cannot load ES modules from CommonJS.
+ */
+function loadCalculations() {
+  const source = fs.readFileSync(path.join(ROOT, 'js', 'calculations.js'), 'utf8');
+  const sandbox = {};
+  vm.runInNewContext(
+    `${source.replace(/^export /gm, '')}\nthis.calculations = { isTemplate, validateTemplate };`,
+    sandbox,
+    { filename: 'js/calculations.js' }
+  );
+  return sandbox.calculations;
+}
+
 function printResults(file, errors, warnings) {
   if (errors.length === 0 && warnings.length === 0) {
     console.log(`✓ ${file}`);
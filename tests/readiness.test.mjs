@@ -0,0 +1,34 @@
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeReadiness } from '../js/readiness.js';
+
+const exam = {
+  passingScore: 70,
+  topics: [{ id: 't1', name: 'Topic 1', weight: 60 }, { id: 't2', name: 'Topic 2', weight: 40 }]
+};
+
+const attempt = (mode, correct) => ({
+  mode,
+  score: correct * 2,
+  total: 20,
+  topics: { t1: { correct, total: 10 }, t2: { correct, total: 10 } }
+});
+
+test('review-pool and drill attempts do not move the estimate', () => {
+  const attempts = [attempt(undefined, 7), attempt('practice', 8), attempt('simulation', 8)];
+  const base = computeReadiness({ exam, attempts });
+
+  ['missed', 'flagged', 'unseen', 'drill', 'tutor'].forEach(mode => {
+    const withReview = computeReadiness({ exam, attempts: [...attempts, attempt(mode, 1)] });
+    assert.deepEqual(withReview, base, `${mode} attempt changed readiness`);
+  });
+});
+
+test('exam-like attempts still count', () => {
+  const attempts = [attempt('practice', 8)];
+  const base = computeReadiness({ exam, attempts });
+  const withAdaptive = computeReadiness({ exam, attempts: [...attempts, attempt('adaptive', 2)] });
+  assert.equal(withAdaptive.attempts, 2);
+  assert.ok(withAdaptive.accuracy < base.accuracy);
+});